@@ -4,7 +4,8 @@
  */
 
 // Import crypto utilities (service workers use importScripts, not ES6 imports)
-importScripts('../lib/crypto.js');
+importScripts('../lib/crypto.js', '../lib/domain-utils.js', '../lib/cookie-formats.js', '../lib/cookie-validation.js',
+  '../lib/cookie-rules.js', '../lib/cookie-audit.js', '../lib/cookie-query.js');
 
 /**
  * Helper function to construct URL from domain and protocol
@@ -32,15 +33,50 @@ function extractDomain(url) {
   }
 }
 
+/**
+ * Scope a chrome.cookies query to a cookie store
+ * Without a storeId Chrome uses the store of the calling context, which for the
+ * service worker is always the default (non-incognito) store
+ * @param {Object} query - chrome.cookies query or details
+ * @param {string} [storeId] - Cookie store ID
+ * @returns {Object} Query with storeId set when given
+ */
+function inStore(query, storeId) {
+  return storeId ? { ...query, storeId } : query;
+}
+
+/**
+ * Build a chrome.cookies.getAll() query that includes partitioned (CHIPS) cookies
+ * Without a partitionKey Chrome only returns unpartitioned cookies; an empty one matches every partition
+ * @param {Object} query - chrome.cookies.getAll() filter
+ * @param {string} [storeId] - Cookie store ID
+ * @returns {Object} Query
+ */
+function cookieQuery(query, storeId) {
+  return { ...inStore(query, storeId), partitionKey: {} };
+}
+
+/**
+ * Storage area for data that holds a cookie store's cookies
+ * Incognito cookies only go to chrome.storage.session, which is kept in memory
+ * and cleared when the browser exits, so nothing from incognito reaches the disk
+ * @param {string} [storeId] - Cookie store ID
+ * @returns {Object} chrome.storage.session for the incognito store, else chrome.storage.local
+ */
+function storageAreaFor(storeId) {
+  return storeId && storeId !== '0' ? chrome.storage.session : chrome.storage.local;
+}
+
 /**
  * Get all cookies for a domain
  * @param {string} domain - Domain to filter by (optional)
+ * @param {string} [storeId] - Cookie store to read (defaults to the normal store)
  * @returns {Promise<Array>} Array of cookies
  */
-async function getCookies(domain) {
+async function getCookies(domain, storeId) {
   try {
     const query = domain ? { domain } : {};
-    const cookies = await chrome.cookies.getAll(query);
+    const cookies = await chrome.cookies.getAll(cookieQuery(query, storeId));
     return { success: true, cookies };
   } catch (error) {
     return { success: false, error: error.message };
@@ -49,16 +85,28 @@ async function getCookies(domain) {
 
 /**
  * Set or update a cookie
- * @param {Object} cookieDetails - Cookie details
+ * @param {Object} cookieDetails - Cookie details (storeId selects the cookie store;
+ *   partitionKey writes a partitioned CHIPS cookie)
+ * @param {Object} [batch] - Journal batch to record the change in (see createJournalBatch())
  * @returns {Promise<Object>} Success status
  */
-async function setCookie(cookieDetails) {
+async function setCookie(cookieDetails, batch = null) {
+  const finishWrite = beginCookieWrite();
+
   try {
     if (!cookieDetails.url && !cookieDetails.domain) {
       throw new Error('Either url or domain must be provided');
     }
 
     const url = cookieDetails.url || constructUrl(cookieDetails.domain, cookieDetails.secure !== false);
+
+    // Same-named cookies that the write may overwrite, kept as the journal's before state
+    const candidates = batch
+      ? await chrome.cookies.getAll(cookieQuery({
+        name: cookieDetails.name,
+        domain: normalizeDomain(cookieDetails.domain || extractDomain(url))
+      }, cookieDetails.storeId))
+      : [];
     
     const cookieConfig = {
       url,
@@ -72,6 +120,8 @@ async function setCookie(cookieDetails) {
     if (cookieDetails.httpOnly !== undefined) cookieConfig.httpOnly = cookieDetails.httpOnly;
     if (cookieDetails.expirationDate) cookieConfig.expirationDate = cookieDetails.expirationDate;
     if (cookieDetails.sameSite) cookieConfig.sameSite = cookieDetails.sameSite;
+    if (cookieDetails.storeId) cookieConfig.storeId = cookieDetails.storeId;
+    if (cookieDetails.partitionKey) cookieConfig.partitionKey = cookieDetails.partitionKey;
 
     let cookie;
     try {
@@ -85,236 +135,403 @@ async function setCookie(cookieDetails) {
         throw err;
       }
     }
+
+    if (batch && cookie) {
+      const before = candidates.find(candidate => isSameCookie(candidate, cookie)) || null;
+      recordJournalEntry(batch, before, cookie);
+    }
+
+    if (cookie) {
+      await syncProtectionRule(cookie, false);
+    }
     
     return { success: true, cookie };
   } catch (error) {
     return { success: false, error: error.message };
+  } finally {
+    finishWrite();
   }
 }
 
 /**
- * Delete a cookie
- * @param {Object} cookieDetails - Cookie details (url, name)
- * @returns {Promise<Object>} Success status
+ * Delete exactly one cookie and make sure it is gone
+ * @param {Object} cookie - Cookie identity: name, domain, hostOnly, path, storeId and
+ *   partitionKey (a Chrome cookie object works as is, see toCookieIdentity())
+ * @param {Object} [batch] - Journal batch to record the change in (see createJournalBatch())
+ * @param {Object} [options] - Delete options
+ * @param {boolean} [options.unprotect=false] - Also drop the cookie's protection rule; only for
+ *   deletes the user asked for, since switches, reverts and profile swaps often write it back
+ * @returns {Promise<Object>} Success status; removed is false if the cookie was already gone, and
+ *   collateralErrors lists same-named cookies Chrome removed too that could not be put back
  */
-async function deleteCookie(cookieDetails) {
+async function deleteCookie(cookie, batch = null, { unprotect = false } = {}) {
+  const finishWrite = beginCookieWrite();
+
   try {
-    if (!cookieDetails.url || !cookieDetails.name) {
-      throw new Error('Both url and name are required');
+    if (!cookie || typeof cookie.name !== 'string' || !cookie.domain) {
+      throw new Error('Cookie name and domain are required');
     }
 
-    const details = await chrome.cookies.remove({
-      url: cookieDetails.url,
-      name: cookieDetails.name
-    });
+    const { removed, collateralErrors } = await removeExactCookie(toCookieIdentity(cookie), batch);
+
+    if (removed) {
+      if (batch) {
+        recordJournalEntry(batch, removed, null);
+      }
+      if (unprotect) {
+        await syncProtectionRule(removed, true);
+      }
+    }
 
-    return { success: true, details };
+    return {
+      success: true,
+      removed: !!removed,
+      collateralErrors: collateralErrors.length > 0 ? collateralErrors : undefined
+    };
   } catch (error) {
     return { success: false, error: error.message };
+  } finally {
+    finishWrite();
   }
 }
 
 /**
- * Get the domain of the current active tab
- * @returns {Promise<Object>} Domain string
+ * Build the URL chrome.cookies.remove() needs to reach a cookie
+ * https always works, since Chrome sends non-Secure cookies over https too, so
+ * there is no protocol to guess; the cookie's own path keeps longer paths out
+ * @param {Object} identity - Cookie identity
+ * @returns {string} URL
  */
-async function getCurrentTabDomain() {
-  try {
-    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
-    if (!tab || !tab.url) {
-      throw new Error('No active tab found');
+function cookieRemovalUrl(identity) {
+  return `https://${normalizeDomain(identity.domain)}${identity.path || '/'}`;
+}
+
+/**
+ * Remove one cookie by identity and verify the result
+ * chrome.cookies.remove() deletes every same-named cookie the URL receives, which
+ * includes cookies on parent paths and parent domains; those are written back and
+ * journaled, so one that can't be written back can still be restored from History
+ * @param {Object} identity - Cookie identity from toCookieIdentity()
+ * @param {Object} [batch] - Journal batch to record the collateral writes in
+ * @returns {Promise<Object>} { removed, collateralErrors }: the removed cookie (null if it didn't
+ *   exist) and { name, domain, path, error } for each collateral cookie that wasn't written back
+ * @throws {Error} If Chrome still has the cookie afterwards
+ */
+async function removeExactCookie(identity, batch = null) {
+  const url = cookieRemovalUrl(identity);
+  const query = cookieQuery({ url, name: identity.name }, identity.storeId);
+
+  const before = await chrome.cookies.getAll(query);
+  const target = before.find(candidate => isSameCookie(candidate, identity));
+  if (!target) {
+    return { removed: null, collateralErrors: [] };
+  }
+
+  const details = inStore({ url, name: identity.name }, identity.storeId);
+  if (identity.partitionKey) {
+    details.partitionKey = identity.partitionKey;
+  }
+  await chrome.cookies.remove(details);
+
+  const after = await chrome.cookies.getAll(query);
+  if (after.some(candidate => isSameCookie(candidate, identity))) {
+    throw new Error(`Chrome did not remove "${identity.name}" from ${identity.domain}${identity.path}`);
+  }
+
+  const collateral = before.filter(candidate =>
+    !isSameCookie(candidate, identity) && !after.some(remaining => isSameCookie(remaining, candidate)));
+  const collateralErrors = [];
+  for (const cookie of collateral) {
+    try {
+      const restored = await chrome.cookies.set(toExactCookieDetails(cookie));
+      if (!restored) {
+        throw new Error('Chrome rejected the cookie');
+      }
+      if (batch) {
+        recordJournalEntry(batch, cookie, restored);
+      }
+    } catch (error) {
+      if (batch) {
+        recordJournalEntry(batch, cookie, null);
+      }
+      collateralErrors.push({ name: cookie.name, domain: cookie.domain, path: cookie.path, error: error.message });
     }
+  }
 
-    const domain = extractDomain(tab.url);
-    return { success: true, domain };
-  } catch (error) {
-    return { success: false, error: error.message };
+  return { removed: target, collateralErrors };
+}
+
+/**
+ * Build setCookie() details that recreate a cookie exactly as it was captured
+ * @param {Object} cookie - Chrome cookie object
+ * @returns {Object} Cookie details
+ */
+function toExactCookieDetails(cookie) {
+  const details = {
+    url: constructUrl(cookie.domain, cookie.secure),
+    name: cookie.name,
+    value: cookie.value,
+    // Host-only cookies must be set without a domain attribute
+    domain: cookie.hostOnly ? undefined : cookie.domain,
+    path: cookie.path || '/',
+    secure: cookie.secure,
+    httpOnly: cookie.httpOnly,
+    sameSite: cookie.sameSite
+  };
+
+  if (cookie.expirationDate && !cookie.session) {
+    details.expirationDate = cookie.expirationDate;
+  }
+
+  if (cookie.storeId) {
+    details.storeId = cookie.storeId;
+  }
+
+  if (cookie.partitionKey) {
+    details.partitionKey = cookie.partitionKey;
   }
+
+  return details;
 }
 
 /**
- * Save cookies as an encrypted preset
- * @param {string} presetName - Name of the preset
- * @param {Array} cookies - Array of cookies to save
- * @returns {Promise<Object>} Success status
+ * Reload the active tab so the page picks up new cookies
+ * @returns {Promise<boolean>} True if a tab was reloaded
  */
-async function savePreset(presetName, cookies) {
-  try {
-    if (!presetName || !presetName.trim()) {
-      throw new Error('Preset name is required');
-    }
+async function reloadActiveTab() {
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  if (!tab) {
+    return false;
+  }
 
-    if (!Array.isArray(cookies)) {
-      throw new Error('Cookies must be an array');
+  await chrome.tabs.reload(tab.id);
+  return true;
+}
+
+// ==================== Journal ====================
+
+const MAX_JOURNAL_BATCHES = 50;
+
+// Serializes journal writes so concurrent operations don't overwrite each other's batches
+let journalWriteQueue = Promise.resolve();
+
+/**
+ * Read the journal; batches that touched incognito cookies live in chrome.storage.session
+ * @returns {Promise<Object>} Map of batch id to record
+ */
+async function readJournal() {
+  const { journal = {} } = await chrome.storage.local.get(['journal']);
+  const { journal: incognitoJournal = {} } = await chrome.storage.session.get(['journal']);
+  return { ...journal, ...incognitoJournal };
+}
+
+/**
+ * Read-modify-write the journal, one caller at a time
+ * Records are written back to the area their incognito flag calls for
+ * @param {Function} mutate - (journal) => result; may modify the journal map in place
+ * @returns {Promise<*>} The mutator's result
+ */
+function updateJournal(mutate) {
+  const write = journalWriteQueue.then(async () => {
+    const journal = await readJournal();
+    const result = await mutate(journal);
+
+    const persistent = {};
+    const incognito = {};
+    for (const [id, record] of Object.entries(journal)) {
+      (record.incognito ? incognito : persistent)[id] = record;
     }
 
-    const encryptedData = await encryptJSON(cookies);
-    
-    const result = await chrome.storage.local.get(['presets']);
-    const presets = result.presets || {};
-    presets[presetName] = encryptedData;
-    
-    await chrome.storage.local.set({ presets });
-    
-    return { success: true, presetName };
-  } catch (error) {
-    return { success: false, error: error.message };
-  }
+    await chrome.storage.local.set({ journal: persistent });
+    await chrome.storage.session.set({ journal: incognito });
+    return result;
+  });
+
+  journalWriteQueue = write.catch(() => {});
+  return write;
 }
 
 /**
- * Load and decrypt a preset
- * @param {string} presetName - Name of the preset
- * @returns {Promise<Object>} Decrypted cookies
+ * Start collecting cookie changes for one user-visible operation
+ * @param {string} action - Operation type ('set', 'delete', 'applyPreset', 'import', ...)
+ * @param {string} label - Human-readable description shown in the history view
+ * @returns {Object} Batch to pass to setCookie()/deleteCookie()
  */
-async function loadPreset(presetName) {
+function createJournalBatch(action, label) {
+  return { action, label, entries: [] };
+}
+
+/**
+ * Add one before/after pair to a batch
+ * @param {Object} batch - From createJournalBatch()
+ * @param {Object|null} before - Cookie before the change, null if it didn't exist
+ * @param {Object|null} after - Cookie after the change, null if it was removed
+ */
+function recordJournalEntry(batch, before, after) {
+  batch.entries.push({ before, after });
+}
+
+/**
+ * Encrypt a batch and append it to the journal, dropping the oldest batches past the limit
+ * A journal failure never fails the cookie operation that produced it; it is kept on the
+ * batch so the response can say so (see journalStatus())
+ * @param {Object} batch - From createJournalBatch()
+ * @returns {Promise<string|null>} Batch id, or null if nothing was recorded
+ */
+async function commitJournalBatch(batch) {
+  if (batch.entries.length === 0) {
+    return null;
+  }
+
   try {
-    if (!presetName) {
-      throw new Error('Preset name is required');
-    }
+    const record = {
+      id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+      action: batch.action,
+      label: batch.label,
+      createdAt: Date.now(),
+      count: batch.entries.length,
+      incognito: batch.entries.some(({ before, after }) => ((before || after).storeId || '0') !== '0'),
+      revertedEntries: [],
+      data: await encryptJSON(batch.entries)
+    };
 
-    const result = await chrome.storage.local.get(['presets']);
-    const presets = result.presets || {};
-    
-    if (!presets[presetName]) {
-      throw new Error(`Preset "${presetName}" not found`);
-    }
+    return await updateJournal((journal) => {
+      journal[record.id] = record;
 
-    const cookies = await decryptJSON(presets[presetName]);
-    
-    return { success: true, cookies };
+      const expired = Object.values(journal)
+        .sort((a, b) => b.createdAt - a.createdAt)
+        .slice(MAX_JOURNAL_BATCHES);
+      expired.forEach(old => delete journal[old.id]);
+
+      return record.id;
+    });
   } catch (error) {
-    return { success: false, error: error.message };
+    console.warn('Failed to record journal batch:', error.message);
+    batch.journalError = error.message;
+    return null;
   }
 }
 
 /**
- * Get list of all preset names
- * @returns {Promise<Object>} Array of preset names
+ * Response fields telling the popup that a committed batch is missing from History
+ * @param {Object} batch - Batch passed to commitJournalBatch()
+ * @returns {Object} { journaled: false, journalWarning }, or nothing if the batch was recorded
  */
-async function getPresets() {
-  try {
-    const result = await chrome.storage.local.get(['presets']);
-    const presets = result.presets || {};
-    const presetNames = Object.keys(presets);
-    
-    return { success: true, presets: presetNames };
-  } catch (error) {
-    return { success: false, error: error.message };
+function journalStatus(batch) {
+  if (!batch.journalError) {
+    return {};
   }
+
+  return {
+    journaled: false,
+    journalWarning: `Not saved to History, so this can't be undone: ${batch.journalError}`
+  };
 }
 
 /**
- * Delete a preset
- * @param {string} presetName - Name of the preset to delete
- * @returns {Promise<Object>} Success status
+ * List journal batches, newest first, without their encrypted contents
+ * @returns {Promise<Object>} Array of { id, action, label, createdAt, count, revertedEntries }
  */
-async function deletePreset(presetName) {
+async function getJournal() {
   try {
-    if (!presetName) {
-      throw new Error('Preset name is required');
-    }
-
-    const result = await chrome.storage.local.get(['presets']);
-    const presets = result.presets || {};
-    
-    if (!presets[presetName]) {
-      throw new Error(`Preset "${presetName}" not found`);
-    }
+    const journal = await readJournal();
+    const batches = Object.values(journal)
+      .map(({ data, ...summary }) => summary)
+      .sort((a, b) => b.createdAt - a.createdAt);
 
-    delete presets[presetName];
-    await chrome.storage.local.set({ presets });
-    
-    return { success: true, presetName };
+    return { success: true, batches };
   } catch (error) {
     return { success: false, error: error.message };
   }
 }
 
 /**
- * Rename a preset
- * @param {string} oldName - Current name of the preset
- * @param {string} newName - New name for the preset
- * @returns {Promise<Object>} Success status
+ * Decrypt the before/after states of one journal batch
+ * @param {string} batchId - Batch id
+ * @returns {Promise<Object>} Array of { index, before, after, reverted }
  */
-async function renamePreset(oldName, newName) {
+async function getJournalEntries(batchId) {
   try {
-    if (!oldName || !newName) {
-      throw new Error('Both old and new names are required');
-    }
-
-    if (oldName === newName) {
-      throw new Error('New name must be different from old name');
-    }
+    const journal = await readJournal();
+    const record = journal[batchId];
 
-    const result = await chrome.storage.local.get(['presets']);
-    const presets = result.presets || {};
-    
-    if (!presets[oldName]) {
-      throw new Error(`Preset "${oldName}" not found`);
+    if (!record) {
+      throw new Error('History entry not found');
     }
 
-    if (presets[newName]) {
-      throw new Error(`Preset "${newName}" already exists`);
-    }
+    const entries = (await decryptJSON(record.data)).map((entry, index) => ({
+      index,
+      ...entry,
+      reverted: record.revertedEntries.includes(index)
+    }));
 
-    presets[newName] = presets[oldName];
-    delete presets[oldName];
-    
-    await chrome.storage.local.set({ presets });
-    
-    return { success: true, oldName, newName };
+    return { success: true, entries };
   } catch (error) {
     return { success: false, error: error.message };
   }
 }
 
 /**
- * Load preset and apply cookies to a domain
- * @param {string} presetName - Name of the preset
- * @param {string} domain - Target domain
- * @returns {Promise<Object>} Success status with count
+ * Put cookies back the way they were before a journal batch, or before one entry of it
+ * The revert is journaled itself, so it can be reverted in turn
+ * @param {string} batchId - Batch id
+ * @param {number} [entryIndex] - Revert only this entry; the whole batch if omitted
+ * @returns {Promise<Object>} Success status with reverted count
  */
-async function applyPreset(presetName, domain) {
+async function revertJournal(batchId, entryIndex) {
   try {
-    if (!presetName) {
-      throw new Error('Preset name is required');
+    const journal = await readJournal();
+    const record = journal[batchId];
+
+    if (!record) {
+      throw new Error('History entry not found');
     }
 
-    if (!domain) {
-      throw new Error('Domain is required');
+    const entries = await decryptJSON(record.data);
+    // Whole-batch reverts skip entries that were already reverted one by one
+    const indices = entryIndex === undefined || entryIndex === null
+      ? entries.map((entry, index) => index).filter(index => !record.revertedEntries.includes(index)).reverse()
+      : [entryIndex];
+
+    if (indices.some(index => !entries[index])) {
+      throw new Error('History entry not found');
     }
 
-    const loadResult = await loadPreset(presetName);
-    if (!loadResult.success) {
-      throw new Error(loadResult.error);
+    if (indices.length === 0) {
+      throw new Error('Everything in this entry has already been reverted');
     }
 
-    const cookies = loadResult.cookies;
-    let successCount = 0;
-    let failCount = 0;
+    const batch = createJournalBatch('revert', `Revert: ${record.label}`);
+    const reverted = [];
     const errors = [];
 
-    for (const cookie of cookies) {
-      const cookieDetails = {
-        ...cookie,
-        domain,
-        url: constructUrl(domain, cookie.secure)
-      };
+    for (const index of indices) {
+      const { before, after } = entries[index];
+      const result = before
+        ? await setCookie(toExactCookieDetails(before), batch)
+        : await deleteCookie(after, batch);
 
-      const result = await setCookie(cookieDetails);
       if (result.success) {
-        successCount++;
+        reverted.push(index);
       } else {
-        failCount++;
-        errors.push({ name: cookie.name, error: result.error });
+        errors.push({ name: (before || after).name, error: result.error });
       }
     }
 
-    return { 
-      success: true, 
-      applied: successCount,
-      failed: failCount,
+    await commitJournalBatch(batch);
+
+    await updateJournal((latest) => {
+      if (latest[batchId]) {
+        const revertedEntries = new Set([...latest[batchId].revertedEntries, ...reverted]);
+        latest[batchId].revertedEntries = [...revertedEntries].sort((a, b) => a - b);
+      }
+    });
+
+    return {
+      success: true,
+      ...journalStatus(batch),
+      reverted: reverted.length,
+      failed: errors.length,
       errors: errors.length > 0 ? errors : undefined
     };
   } catch (error) {
@@ -323,116 +540,2838 @@ async function applyPreset(presetName, domain) {
 }
 
 /**
- * Export cookies for a domain
- * @param {string} domain - Domain to export cookies from
- * @param {boolean} encrypted - Whether to encrypt the export
- * @returns {Promise<Object>} JSON string of cookies
+ * Delete the whole journal
+ * @returns {Promise<Object>} Success status
  */
-async function exportCookies(domain, encrypted = false) {
+async function clearJournal() {
   try {
-    const result = await getCookies(domain);
-    if (!result.success) {
-      throw new Error(result.error);
-    }
-
-    let exportData;
-    if (encrypted) {
-      exportData = await encryptJSON(result.cookies);
-    } else {
-      exportData = JSON.stringify(result.cookies, null, 2);
-    }
-
-    return { success: true, data: exportData, encrypted };
+    await updateJournal((journal) => {
+      Object.keys(journal).forEach(id => delete journal[id]);
+    });
+    return { success: true };
   } catch (error) {
     return { success: false, error: error.message };
   }
 }
 
 /**
- * Import cookies from JSON data
- * @param {string} jsonData - JSON string or encrypted data
- * @param {boolean} encrypted - Whether the data is encrypted
- * @returns {Promise<Object>} Success status with count
+ * Run a single cookie mutation from the popup inside its own journal batch
+ * @param {string} action - Batch action
+ * @param {string} label - Batch label
+ * @param {Function} operation - (batch) => Promise<Object>
+ * @returns {Promise<Object>} The operation's result
  */
-async function importCookies(jsonData, encrypted = false) {
-  try {
-    if (!jsonData) {
-      throw new Error('JSON data is required');
-    }
+async function runJournaled(action, label, operation) {
+  const batch = createJournalBatch(action, label);
+  const result = await operation(batch);
+  await commitJournalBatch(batch);
+  return result.success ? { ...result, ...journalStatus(batch) } : result;
+}
 
-    let cookies;
-    if (encrypted) {
-      cookies = await decryptJSON(jsonData);
-    } else {
-      cookies = JSON.parse(jsonData);
-    }
+// ==================== Cookie Stores ====================
 
-    if (!Array.isArray(cookies)) {
-      throw new Error('Invalid cookie data: expected an array');
-    }
+/**
+ * Find the cookie store a tab's cookies live in
+ * @param {number} tabId - Tab ID
+ * @param {Array<Object>} [stores] - Result of chrome.cookies.getAllCookieStores(), if already fetched
+ * @returns {Promise<string>} Store ID; the normal store if no store lists the tab
+ */
+async function getTabStoreId(tabId, stores) {
+  const allStores = stores || await chrome.cookies.getAllCookieStores();
+  const store = allStores.find(candidate => candidate.tabIds.includes(tabId));
+  return store ? store.id : '0';
+}
 
-    let successCount = 0;
-    let failCount = 0;
-    const errors = [];
+/**
+ * Name a cookie store for display
+ * Chrome doesn't flag incognito stores, so a store counts as incognito when its tabs are
+ * @param {string} storeId - Store ID
+ * @param {Array<Object>} [stores] - Result of chrome.cookies.getAllCookieStores(), if already fetched
+ * @returns {Promise<string>} 'Normal', 'Incognito' or 'Store <id>'
+ */
+async function getCookieStoreLabel(storeId, stores) {
+  if (storeId === '0') return 'Normal';
 
-    for (const cookie of cookies) {
-      const cookieDetails = {
-        name: cookie.name,
-        value: cookie.value,
-        domain: cookie.domain,
-        path: cookie.path || '/',
-        secure: cookie.secure || false,
-        httpOnly: cookie.httpOnly || false,
-        sameSite: cookie.sameSite === 'no_restriction' ? 'no_restriction' : 
-                  (cookie.sameSite === 'lax' ? 'lax' : 
-                  (cookie.sameSite === 'strict' ? 'strict' : undefined))
-      };
+  const allStores = stores || await chrome.cookies.getAllCookieStores();
+  const store = allStores.find(candidate => candidate.id === storeId);
+  const tabs = await chrome.tabs.query({});
+  const incognito = !!store && tabs.some(tab => tab.incognito && store.tabIds.includes(tab.id));
 
-      if (cookie.expirationDate && !cookie.session) {
-        cookieDetails.expirationDate = cookie.expirationDate;
-      }
+  return incognito ? 'Incognito' : `Store ${storeId}`;
+}
 
-      cookieDetails.url = constructUrl(cookie.domain, cookie.secure);
+/**
+ * List the cookie stores Cooklix can work with
+ * The incognito store only exists while an incognito window is open and
+ * Cooklix is allowed in incognito (chrome://extensions > Details)
+ * @returns {Promise<Object>} Success status with stores ({ id, label, incognito, tabCount })
+ */
+async function getCookieStores() {
+  try {
+    const stores = await chrome.cookies.getAllCookieStores();
+    const result = [];
 
-      const result = await setCookie(cookieDetails);
-      if (result.success) {
-        successCount++;
-      } else {
-        failCount++;
-        errors.push({ name: cookie.name, error: result.error });
-      }
+    for (const store of stores) {
+      const label = await getCookieStoreLabel(store.id, stores);
+      result.push({ id: store.id, label, incognito: label === 'Incognito', tabCount: store.tabIds.length });
     }
 
-    return { 
-      success: true, 
-      imported: successCount,
-      failed: failCount,
-      errors: errors.length > 0 ? errors : undefined
-    };
+    return { success: true, stores: result };
   } catch (error) {
     return { success: false, error: error.message };
   }
 }
 
+// ==================== Cookie Activity ====================
+
+const MAX_ACTIVITY_EVENTS = 100;
+const MAX_ACTIVITY_DOMAINS = 50;
+const MAX_ACTIVITY_VALUE_LENGTH = 200;
+const ACTIVITY_FLUSH_DELAY = 500;
+
+// Events waiting to be written; onChanged can fire dozens of times per page load,
+// so they are batched into one storage write instead of one write each
+let pendingActivity = [];
+let activityFlushTimer = null;
+let activityWriteQueue = Promise.resolve();
+
+// Chrome reports an overwrite as a removal (cause 'overwrite') followed by an insertion;
+// the removed cookie is held here until its replacement arrives
+const overwrittenCookies = new Map();
+
 /**
- * Message handler for communication with popup
+ * Shorten a value for the activity log; the buffer lives in memory and has a small quota
+ * @param {string} value - Cookie value
+ * @returns {string|null} Value, truncated with an ellipsis if long
  */
-chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
-  (async () => {
-    try {
+function clipActivityValue(value) {
+  if (value === undefined || value === null) return null;
+  return value.length > MAX_ACTIVITY_VALUE_LENGTH
+    ? value.substring(0, MAX_ACTIVITY_VALUE_LENGTH) + '…'
+    : value;
+}
+
+/**
+ * Turn a chrome.cookies.onChanged notification into an activity event
+ * @param {Object} changeInfo - { removed, cookie, cause }
+ * @returns {Object|null} Event, or null for the first half of an overwrite
+ */
+function toActivityEvent({ removed, cookie, cause }) {
+  const key = cookieIdentityKey(cookie);
+
+  if (removed && cause === 'overwrite') {
+    overwrittenCookies.set(key, cookie);
+    return null;
+  }
+
+  const before = removed ? cookie : overwrittenCookies.get(key) || null;
+  overwrittenCookies.delete(key);
+
+  return {
+    timestamp: Date.now(),
+    type: removed ? 'removed' : before ? 'changed' : 'added',
+    cause: removed ? cause : before ? 'overwrite' : cause,
+    name: cookie.name,
+    domain: cookie.domain,
+    hostOnly: cookie.hostOnly,
+    path: cookie.path,
+    storeId: cookie.storeId,
+    before: before ? clipActivityValue(before.value) : null,
+    after: removed ? null : clipActivityValue(cookie.value),
+    expirationDate: removed || cookie.session ? null : cookie.expirationDate
+  };
+}
+
+/**
+ * Write pending events into the per-domain ring buffers in chrome.storage.session,
+ * which is kept in memory only and cleared when the browser exits
+ * @returns {Promise<void>}
+ */
+function flushActivity() {
+  clearTimeout(activityFlushTimer);
+  activityFlushTimer = null;
+
+  const events = pendingActivity;
+  pendingActivity = [];
+
+  const write = activityWriteQueue.then(async () => {
+    if (events.length === 0) return;
+
+    const { cookieActivity = {} } = await chrome.storage.session.get(['cookieActivity']);
+    const touched = new Set();
+
+    for (const event of events) {
+      const domain = normalizeDomain(event.domain);
+      const buffer = cookieActivity[domain] || [];
+      buffer.push(event);
+      cookieActivity[domain] = buffer.slice(-MAX_ACTIVITY_EVENTS);
+      touched.add(domain);
+    }
+
+    // Drop the domains that have been quiet the longest
+    const domains = Object.keys(cookieActivity);
+    if (domains.length > MAX_ACTIVITY_DOMAINS) {
+      const lastSeen = domain => cookieActivity[domain][cookieActivity[domain].length - 1].timestamp;
+      domains.sort((a, b) => lastSeen(a) - lastSeen(b))
+        .slice(0, domains.length - MAX_ACTIVITY_DOMAINS)
+        .forEach(domain => delete cookieActivity[domain]);
+    }
+
+    await chrome.storage.session.set({ cookieActivity });
+
+    // Let an open popup refresh; rejects when no popup is listening
+    chrome.runtime.sendMessage({ action: 'cookieActivity', domains: [...touched] }).catch(() => {});
+  });
+
+  activityWriteQueue = write.catch((error) => {
+    console.warn('Failed to record cookie activity:', error.message);
+  });
+  return activityWriteQueue;
+}
+
+/**
+ * Record a cookie change reported by Chrome
+ * @param {Object} changeInfo - chrome.cookies.onChanged details
+ */
+function recordCookieActivity(changeInfo) {
+  const event = toActivityEvent(changeInfo);
+  if (!event) return;
+
+  pendingActivity.push(event);
+  if (!activityFlushTimer) {
+    activityFlushTimer = setTimeout(flushActivity, ACTIVITY_FLUSH_DELAY);
+  }
+}
+
+/**
+ * Get recorded cookie changes, newest first
+ * @param {string} [domain] - Only changes to cookies a request to this host would carry
+ * @param {string} [storeId] - Only changes in this cookie store
+ * @returns {Promise<Object>} Success status with events
+ */
+async function getActivity(domain, storeId) {
+  try {
+    await flushActivity();
+    const { cookieActivity = {} } = await chrome.storage.session.get(['cookieActivity']);
+
+    const events = Object.values(cookieActivity)
+      .flat()
+      .filter(event => !domain || domainMatches(event.domain, domain, event.hostOnly))
+      .filter(event => !storeId || (event.storeId || '0') === storeId)
+      .sort((a, b) => b.timestamp - a.timestamp)
+      .slice(0, MAX_ACTIVITY_EVENTS);
+
+    return { success: true, events };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Clear recorded cookie changes
+ * @param {string} [domain] - Only clear changes that getActivity(domain) would return
+ * @param {string} [storeId] - Only clear changes in this cookie store
+ * @returns {Promise<Object>} Success status
+ */
+async function clearActivity(domain, storeId) {
+  try {
+    await flushActivity();
+
+    const write = activityWriteQueue.then(async () => {
+      const { cookieActivity = {} } = await chrome.storage.session.get(['cookieActivity']);
+
+      for (const [key, buffer] of Object.entries(cookieActivity)) {
+        const kept = buffer.filter(event =>
+          (domain && !domainMatches(event.domain, domain, event.hostOnly)) ||
+          (storeId && (event.storeId || '0') !== storeId));
+
+        if (kept.length > 0) {
+          cookieActivity[key] = kept;
+        } else {
+          delete cookieActivity[key];
+        }
+      }
+
+      await chrome.storage.session.set({ cookieActivity });
+    });
+
+    activityWriteQueue = write.catch(() => {});
+    await write;
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+// ==================== Protection Rules ====================
+
+const MAX_PROTECTION_LOG = 100;
+const PROTECTION_THROTTLE_COUNT = 5;
+const PROTECTION_THROTTLE_WINDOW = 10000;
+
+// Attributes a protected cookie is held to; expiry is left to the site so a refresh
+// doesn't count as tampering, and an expired cookie comes back as a removal
+const PROTECTED_FIELDS = ['value', 'secure', 'httpOnly', 'sameSite'];
+
+let protectionRulesCache = null;
+let protectionWriteQueue = Promise.resolve();
+let protectionQueue = Promise.resolve();
+
+// Cookie writes made by Cooklix itself; enforcement waits for them so a deliberate
+// edit updates the rule before it could be mistaken for the site changing the cookie
+const pendingCookieWrites = new Set();
+
+// Recent restores per rule ({ times, skipping }), to stop fighting a site that
+// rewrites a cookie in a loop
+const recentRestores = new Map();
+
+/**
+ * Mark the start of a cookie write made by Cooklix
+ * @returns {Function} Call when the write (and any rule update) has finished
+ */
+function beginCookieWrite() {
+  let finish;
+  const write = new Promise(resolve => { finish = resolve; });
+  pendingCookieWrites.add(write);
+
+  return () => {
+    pendingCookieWrites.delete(write);
+    finish();
+  };
+}
+
+/**
+ * Load protection rules, keyed by cookieIdentityKey()
+ * @returns {Promise<Object>} Rules map
+ */
+async function getProtectionRuleMap() {
+  if (!protectionRulesCache) {
+    const { protectionRules = {} } = await chrome.storage.local.get(['protectionRules']);
+    protectionRulesCache = protectionRules;
+  }
+  return protectionRulesCache;
+}
+
+/**
+ * Read-modify-write the protection rules and log, one caller at a time
+ * @param {Function} mutate - (rules, log) => result; may modify both in place
+ * @returns {Promise<*>} The mutator's result
+ */
+function updateProtection(mutate) {
+  const write = protectionWriteQueue.then(async () => {
+    const { protectionRules = {}, protectionLog = [] } =
+      await chrome.storage.local.get(['protectionRules', 'protectionLog']);
+    const result = await mutate(protectionRules, protectionLog);
+    await chrome.storage.local.set({
+      protectionRules,
+      protectionLog: protectionLog.slice(-MAX_PROTECTION_LOG)
+    });
+    protectionRulesCache = protectionRules;
+    return result;
+  });
+
+  protectionWriteQueue = write.catch(() => {});
+  return write;
+}
+
+/**
+ * Keep a protection rule in line with a change Cooklix made on purpose:
+ * a written cookie becomes the new locked state, a deleted one loses its protection
+ * @param {Object} cookie - Cookie that was written or deleted
+ * @param {boolean} removed - Whether the cookie was deleted
+ * @returns {Promise<void>}
+ */
+async function syncProtectionRule(cookie, removed) {
+  const key = cookieIdentityKey(cookie);
+  const rules = await getProtectionRuleMap();
+  if (!rules[key]) return;
+
+  await updateProtection((protectionRules) => {
+    if (!protectionRules[key]) return;
+
+    if (removed) {
+      delete protectionRules[key];
+    } else {
+      protectionRules[key].cookie = cookie;
+    }
+  });
+}
+
+/**
+ * Lock a cookie's current value and attributes
+ * @param {Object} cookie - Chrome cookie object as returned by chrome.cookies.getAll()
+ * @returns {Promise<Object>} Success status with the rule key
+ */
+async function protectCookie(cookie) {
+  try {
+    if (!cookie || !cookie.name || !cookie.domain) {
+      throw new Error('Cookie name and domain are required');
+    }
+
+    // Rules are kept on disk unencrypted, and the incognito store is gone once its windows close
+    if (cookie.storeId && cookie.storeId !== '0') {
+      throw new Error('Only cookies in the normal store can be protected');
+    }
+
+    const key = cookieIdentityKey(cookie);
+    await updateProtection((rules) => {
+      rules[key] = {
+        cookie,
+        createdAt: Date.now(),
+        restoreCount: 0,
+        lastRestoredAt: null
+      };
+    });
+
+    return { success: true, key };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Stop protecting a cookie
+ * @param {string} key - Rule key from getProtectionRules()
+ * @returns {Promise<Object>} Success status
+ */
+async function unprotectCookie(key) {
+  try {
+    const removed = await updateProtection((rules) => {
+      if (!rules[key]) return false;
+      delete rules[key];
+      return true;
+    });
+
+    if (!removed) {
+      throw new Error('Cookie is not protected');
+    }
+
+    recentRestores.delete(key);
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * List protection rules and the restore log
+ * @returns {Promise<Object>} Success status with rules and log (newest first)
+ */
+async function getProtectionRules() {
+  try {
+    const { protectionRules = {}, protectionLog = [] } =
+      await chrome.storage.local.get(['protectionRules', 'protectionLog']);
+
+    const rules = Object.entries(protectionRules)
+      .map(([key, rule]) => ({ key, ...rule }))
+      .sort((a, b) => a.cookie.name.localeCompare(b.cookie.name));
+
+    return { success: true, rules, log: protectionLog.slice().reverse() };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Count a restore attempt against the rule's rate limit
+ * @param {string} key - Rule key
+ * @returns {string|null} null to go ahead, 'first' for the first skipped attempt
+ *   of a run, 'again' for later ones
+ */
+function throttleRestore(key) {
+  const now = Date.now();
+  const state = recentRestores.get(key) || { times: [], skipping: false };
+  state.times = state.times.filter(time => now - time < PROTECTION_THROTTLE_WINDOW);
+  recentRestores.set(key, state);
+
+  if (state.times.length >= PROTECTION_THROTTLE_COUNT) {
+    const result = state.skipping ? 'again' : 'first';
+    state.skipping = true;
+    return result;
+  }
+
+  state.times.push(now);
+  state.skipping = false;
+  return null;
+}
+
+/**
+ * Compare a protected cookie with the live one and put it back if it was changed or removed
+ * @param {string} key - Rule key
+ * @returns {Promise<void>}
+ */
+async function enforceProtection(key) {
+  // Let deliberate Cooklix edits update the rule first
+  await Promise.all([...pendingCookieWrites]);
+
+  const rules = await getProtectionRuleMap();
+  const rule = rules[key];
+  if (!rule) return;
+
+  const locked = rule.cookie;
+  const candidates = await chrome.cookies.getAll(cookieQuery({
+    name: locked.name,
+    domain: normalizeDomain(locked.domain)
+  }, locked.storeId));
+  const live = candidates.find(candidate => cookieIdentityKey(candidate) === key);
+
+  const fields = live
+    ? diffCookie(live, locked).map(change => change.field).filter(field => PROTECTED_FIELDS.includes(field))
+    : [];
+  if (live && fields.length === 0) return;
+
+  const entry = {
+    timestamp: Date.now(),
+    key,
+    name: locked.name,
+    domain: locked.domain,
+    path: locked.path,
+    reason: live ? 'changed' : 'removed',
+    fields
+  };
+
+  const throttled = throttleRestore(key);
+  if (throttled === 'again') return;
+
+  if (throttled) {
+    entry.restored = false;
+    entry.error = 'Skipped: the cookie keeps changing';
+  } else {
+    const details = toExactCookieDetails(locked);
+    // A locked expiry that has passed would delete the cookie again; restore it for the session instead
+    if (details.expirationDate && details.expirationDate * 1000 <= Date.now()) {
+      delete details.expirationDate;
+    }
+    if (!details.domain) delete details.domain;
+
+    try {
+      await chrome.cookies.set(details);
+      entry.restored = true;
+    } catch (error) {
+      entry.restored = false;
+      entry.error = error.message;
+    }
+  }
+
+  await updateProtection((protectionRules, log) => {
+    log.push(entry);
+    if (entry.restored && protectionRules[key]) {
+      protectionRules[key].restoreCount = (protectionRules[key].restoreCount || 0) + 1;
+      protectionRules[key].lastRestoredAt = entry.timestamp;
+    }
+  });
+}
+
+/**
+ * Queue a protection check for a cookie change reported by Chrome
+ * @param {Object} changeInfo - chrome.cookies.onChanged details
+ */
+function handleProtectedCookieChange({ removed, cookie, cause }) {
+  // The replacement half of an overwrite follows; check once it has landed
+  if (removed && cause === 'overwrite') return;
+
+  const key = cookieIdentityKey(cookie);
+  protectionQueue = protectionQueue
+    .then(async () => {
+      const rules = await getProtectionRuleMap();
+      if (rules[key]) {
+        await enforceProtection(key);
+      }
+    })
+    .catch((error) => {
+      console.warn('Failed to enforce cookie protection:', error.message);
+    });
+}
+
+// ==================== Cleanup Rules ====================
+
+const RULE_COUNT_FLUSH_DELAY = 1000;
+const TAB_CLOSE_CLEANUP_DELAY = 1000;
+
+let cookieRulesCache = null;
+let cookieRulesWriteQueue = Promise.resolve();
+
+// Removal counts not yet written, keyed by rule id
+const pendingRuleCounts = new Map();
+let ruleCountFlushTimer = null;
+let tabCloseCleanupTimer = null;
+
+/**
+ * Load cleanup rules in the user's order
+ * @returns {Promise<Array>} Rules
+ */
+async function getCookieRuleList() {
+  if (!cookieRulesCache) {
+    const { cookieRules = [] } = await chrome.storage.local.get(['cookieRules']);
+    cookieRulesCache = cookieRules;
+  }
+  return cookieRulesCache;
+}
+
+/**
+ * Read-modify-write the cleanup rules, one caller at a time
+ * @param {Function} mutate - (rules) => result; may modify the rules array in place
+ * @returns {Promise<*>} The mutator's result
+ */
+function updateCookieRules(mutate) {
+  const write = cookieRulesWriteQueue.then(async () => {
+    const { cookieRules = [] } = await chrome.storage.local.get(['cookieRules']);
+    const result = await mutate(cookieRules);
+    await chrome.storage.local.set({ cookieRules });
+    cookieRulesCache = cookieRules;
+    return result;
+  });
+
+  cookieRulesWriteQueue = write.catch(() => {});
+  return write;
+}
+
+/**
+ * List cleanup rules
+ * @returns {Promise<Object>} Success status with rules
+ */
+async function getCookieRules() {
+  try {
+    const { cookieRules = [] } = await chrome.storage.local.get(['cookieRules']);
+    return { success: true, rules: cookieRules };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Create a cleanup rule, or update one if `rule.id` is given
+ * @param {Object} rule - Rule fields
+ * @param {string} [rule.id] - Existing rule to update
+ * @param {string} [rule.domainPattern='*'] - Domain glob
+ * @param {string} [rule.namePattern] - Cookie name regular expression
+ * @param {string} [rule.party='any'] - 'any', 'first' or 'third'
+ * @param {string} rule.action - 'allow', 'deleteOnSet' or 'deleteOnTabClose'
+ * @param {boolean} [rule.enabled=true] - Whether the rule is active
+ * @returns {Promise<Object>} Success status with the saved rule
+ */
+async function saveCookieRule(rule) {
+  try {
+    const normalized = normalizeCookieRule(rule);
+
+    const saved = await updateCookieRules((rules) => {
+      if (rule.id) {
+        const existing = rules.find(candidate => candidate.id === rule.id);
+        if (!existing) {
+          throw new Error('Rule not found');
+        }
+        Object.assign(existing, normalized);
+        return existing;
+      }
+
+      const created = {
+        id: crypto.randomUUID(),
+        ...normalized,
+        createdAt: Date.now(),
+        removedCount: 0
+      };
+      rules.push(created);
+      return created;
+    });
+
+    return { success: true, rule: saved };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Delete a cleanup rule
+ * @param {string} ruleId - Rule id
+ * @returns {Promise<Object>} Success status
+ */
+async function deleteCookieRule(ruleId) {
+  try {
+    const removed = await updateCookieRules((rules) => {
+      const index = rules.findIndex(rule => rule.id === ruleId);
+      if (index === -1) return false;
+      rules.splice(index, 1);
+      return true;
+    });
+
+    if (!removed) {
+      throw new Error('Rule not found');
+    }
+
+    pendingRuleCounts.delete(ruleId);
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Write pending removal counts to the rules
+ * @returns {Promise<void>}
+ */
+function flushRuleCounts() {
+  clearTimeout(ruleCountFlushTimer);
+  ruleCountFlushTimer = null;
+
+  if (pendingRuleCounts.size === 0) {
+    return cookieRulesWriteQueue;
+  }
+
+  const counts = new Map(pendingRuleCounts);
+  pendingRuleCounts.clear();
+
+  return updateCookieRules((rules) => {
+    for (const rule of rules) {
+      if (counts.has(rule.id)) {
+        rule.removedCount = (rule.removedCount || 0) + counts.get(rule.id);
+      }
+    }
+  }).catch((error) => {
+    console.warn('Failed to update rule counters:', error.message);
+  });
+}
+
+/**
+ * Host names of the pages open in any tab
+ * @param {Object} [store] - Only count tabs of this cookie store (from getAllCookieStores())
+ * @returns {Promise<Array<string>>} Host names
+ */
+async function getOpenTabHosts(store) {
+  const tabs = await chrome.tabs.query({});
+  return tabs
+    .filter(tab => !store || store.tabIds.includes(tab.id))
+    .map(tab => tab.url && tab.url.startsWith('http') ? extractDomain(tab.url) : null)
+    .filter(Boolean);
+}
+
+/**
+ * Delete a cookie because a cleanup rule matched it, unless it is protected
+ * @param {Object} cookie - Chrome cookie object
+ * @param {Object} rule - Matching rule
+ * @returns {Promise<boolean>} True if the cookie was removed
+ */
+async function removeCookieByRule(cookie, rule) {
+  const protectedRules = await getProtectionRuleMap();
+  if (protectedRules[cookieIdentityKey(cookie)]) {
+    return false;
+  }
+
+  let result;
+  try {
+    result = await removeExactCookie(toCookieIdentity(cookie));
+  } catch (error) {
+    console.warn('Cleanup rule could not remove a cookie:', error.message);
+    return false;
+  }
+  result.collateralErrors.forEach((failure) => {
+    console.warn(`Cleanup rule could not put back ${failure.name} on ${failure.domain}${failure.path}:`, failure.error);
+  });
+  if (!result.removed) return false;
+
+  pendingRuleCounts.set(rule.id, (pendingRuleCounts.get(rule.id) || 0) + 1);
+  if (!ruleCountFlushTimer) {
+    ruleCountFlushTimer = setTimeout(flushRuleCounts, RULE_COUNT_FLUSH_DELAY);
+  }
+  return true;
+}
+
+/**
+ * Apply delete-on-set rules to a cookie Chrome just stored
+ * @param {Object} changeInfo - chrome.cookies.onChanged details
+ * @returns {Promise<void>}
+ */
+async function handleRuledCookieChange({ removed, cookie }) {
+  if (removed) return;
+
+  try {
+    const rules = (await getCookieRuleList()).filter(rule => rule.enabled);
+    if (!rules.some(rule => rule.action === 'deleteOnSet')) return;
+
+    let tabHosts = [];
+    if (rules.some(rule => rule.party !== 'any')) {
+      const stores = await chrome.cookies.getAllCookieStores();
+      tabHosts = await getOpenTabHosts(stores.find(store => store.id === cookie.storeId));
+    }
+    const rule = findCookieRule(rules, cookie, tabHosts);
+
+    if (rule && rule.action === 'deleteOnSet') {
+      await removeCookieByRule(cookie, rule);
+    }
+  } catch (error) {
+    console.warn('Failed to apply cleanup rules:', error.message);
+  }
+}
+
+/**
+ * Apply delete-on-tab-close rules to every cookie whose site is no longer open in any tab
+ * @returns {Promise<Object>} Success status with the number of cookies removed
+ */
+async function runTabCloseCleanup() {
+  try {
+    const rules = (await getCookieRuleList()).filter(rule => rule.enabled);
+    if (!rules.some(rule => rule.action === 'deleteOnTabClose')) {
+      return { success: true, removed: 0 };
+    }
+
+    const stores = await chrome.cookies.getAllCookieStores();
+    let removed = 0;
+
+    // Each store is only compared with its own tabs, so closing the last
+    // incognito tab of a site doesn't keep its normal-store cookies alive or vice versa
+    for (const store of stores) {
+      const tabHosts = await getOpenTabHosts(store);
+      const cookies = await chrome.cookies.getAll(cookieQuery({}, store.id));
+
+      for (const cookie of cookies) {
+        if (!isThirdPartyCookie(cookie, tabHosts)) continue;
+
+        const rule = findCookieRule(rules, cookie, tabHosts);
+        if (rule && rule.action === 'deleteOnTabClose' && await removeCookieByRule(cookie, rule)) {
+          removed++;
+        }
+      }
+    }
+
+    return { success: true, removed };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Schedule a tab-close cleanup; closing a window fires once per tab, so wait for the last one
+ */
+function scheduleTabCloseCleanup() {
+  clearTimeout(tabCloseCleanupTimer);
+  tabCloseCleanupTimer = setTimeout(runTabCloseCleanup, TAB_CLOSE_CLEANUP_DELAY);
+}
+
+// ==================== Preset Triggers ====================
+
+const TRIGGER_TYPES = ['startup', 'schedule', 'navigation'];
+const TRIGGER_ALARM_PREFIX = 'presetTrigger:';
+const MAX_TRIGGER_LOG = 100;
+const DEFAULT_NAVIGATION_COOLDOWN = 60;
+
+let triggerWriteQueue = Promise.resolve();
+
+/**
+ * Read-modify-write the triggers and their log, one caller at a time
+ * @param {Function} mutate - (triggers, log) => result; may modify both in place
+ * @returns {Promise<*>} The mutator's result
+ */
+function updatePresetTriggers(mutate) {
+  const write = triggerWriteQueue.then(async () => {
+    const { presetTriggers = {}, triggerLog = [] } =
+      await chrome.storage.local.get(['presetTriggers', 'triggerLog']);
+    const result = await mutate(presetTriggers, triggerLog);
+    await chrome.storage.local.set({
+      presetTriggers,
+      triggerLog: triggerLog.slice(-MAX_TRIGGER_LOG)
+    });
+    return result;
+  });
+
+  triggerWriteQueue = write.catch(() => {});
+  return write;
+}
+
+/**
+ * Create or remove the repeating alarm behind a schedule trigger
+ * @param {Object} trigger - Trigger
+ * @returns {Promise<void>}
+ */
+async function syncTriggerAlarm(trigger) {
+  const name = TRIGGER_ALARM_PREFIX + trigger.id;
+
+  if (trigger.type === 'schedule' && trigger.enabled) {
+    const existing = await chrome.alarms.get(name);
+    if (!existing || existing.periodInMinutes !== trigger.intervalMinutes) {
+      await chrome.alarms.create(name, {
+        delayInMinutes: trigger.intervalMinutes,
+        periodInMinutes: trigger.intervalMinutes
+      });
+    }
+  } else {
+    await chrome.alarms.clear(name);
+  }
+}
+
+/**
+ * Make the alarms match the stored schedule triggers, dropping alarms of deleted ones
+ * @returns {Promise<void>}
+ */
+async function syncAllTriggerAlarms() {
+  const { presetTriggers = {} } = await chrome.storage.local.get(['presetTriggers']);
+
+  for (const trigger of Object.values(presetTriggers)) {
+    await syncTriggerAlarm(trigger);
+  }
+
+  const alarms = await chrome.alarms.getAll();
+  for (const alarm of alarms) {
+    if (alarm.name.startsWith(TRIGGER_ALARM_PREFIX) &&
+        !presetTriggers[alarm.name.substring(TRIGGER_ALARM_PREFIX.length)]) {
+      await chrome.alarms.clear(alarm.name);
+    }
+  }
+}
+
+/**
+ * List triggers and the run log
+ * @param {string} [presetName] - Only triggers and runs of this preset
+ * @returns {Promise<Object>} Success status with triggers and log (newest first)
+ */
+async function getPresetTriggers(presetName) {
+  try {
+    const { presetTriggers = {}, triggerLog = [] } =
+      await chrome.storage.local.get(['presetTriggers', 'triggerLog']);
+
+    const triggers = Object.values(presetTriggers)
+      .filter(trigger => !presetName || trigger.presetName === presetName)
+      .sort((a, b) => a.createdAt - b.createdAt);
+    const log = triggerLog
+      .filter(entry => !presetName || entry.presetName === presetName)
+      .reverse();
+
+    return { success: true, triggers, log };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Create a trigger, or update one if `trigger.id` is given
+ * @param {Object} trigger - Trigger fields
+ * @param {string} [trigger.id] - Existing trigger to update
+ * @param {string} trigger.presetName - Preset to apply
+ * @param {string} trigger.type - 'startup', 'schedule' or 'navigation'
+ * @param {string} trigger.domain - Domain to apply to; for 'navigation', the site whose
+ *   pages fire the trigger (subdomains included)
+ * @param {number} [trigger.intervalMinutes] - Repeat interval for 'schedule'
+ * @param {number} [trigger.cooldownMinutes=60] - Minimum time between 'navigation' runs
+ * @param {string} [trigger.mode='merge'] - See applyPreset()
+ * @param {string} [trigger.placement='original'] - See placePresetCookies()
+ * @param {boolean} [trigger.reloadTab=false] - Reload the tab afterwards
+ * @param {boolean} [trigger.enabled=true] - Whether the trigger is active
+ * @returns {Promise<Object>} Success status with the saved trigger
+ */
+async function savePresetTrigger(trigger) {
+  try {
+    const { presets = {} } = await chrome.storage.local.get(['presets']);
+    if (!presets[trigger.presetName]) {
+      throw new Error(`Preset "${trigger.presetName}" not found`);
+    }
+
+    if (!TRIGGER_TYPES.includes(trigger.type)) {
+      throw new Error(`Unknown trigger type: ${trigger.type}`);
+    }
+
+    const domain = normalizeDomain(trigger.domain);
+    if (!domain) {
+      throw new Error('Domain is required');
+    }
+
+    const mode = trigger.mode || 'merge';
+    const placement = trigger.placement || 'original';
+    if (!APPLY_MODES.includes(mode)) {
+      throw new Error(`Unknown apply mode: ${mode}`);
+    }
+    if (!APPLY_PLACEMENTS.includes(placement)) {
+      throw new Error(`Unknown cookie placement: ${placement}`);
+    }
+
+    const fields = {
+      presetName: trigger.presetName,
+      type: trigger.type,
+      domain,
+      mode,
+      placement,
+      reloadTab: !!trigger.reloadTab,
+      enabled: trigger.enabled !== false
+    };
+
+    if (trigger.type === 'schedule') {
+      fields.intervalMinutes = Math.floor(Number(trigger.intervalMinutes));
+      // chrome.alarms does not fire more often than once a minute
+      if (!(fields.intervalMinutes >= 1)) {
+        throw new Error('Interval must be at least 1 minute');
+      }
+    }
+
+    if (trigger.type === 'navigation') {
+      fields.cooldownMinutes = trigger.cooldownMinutes === undefined || trigger.cooldownMinutes === ''
+        ? DEFAULT_NAVIGATION_COOLDOWN
+        : Math.floor(Number(trigger.cooldownMinutes));
+      if (!(fields.cooldownMinutes >= 1)) {
+        throw new Error('Cooldown must be at least 1 minute');
+      }
+    }
+
+    const saved = await updatePresetTriggers((triggers) => {
+      if (trigger.id) {
+        if (!triggers[trigger.id]) {
+          throw new Error('Trigger not found');
+        }
+        const { lastRunAt = null, createdAt } = triggers[trigger.id];
+        triggers[trigger.id] = { id: trigger.id, ...fields, createdAt, lastRunAt };
+      } else {
+        const id = crypto.randomUUID();
+        triggers[id] = { id, ...fields, createdAt: Date.now(), lastRunAt: null };
+        return triggers[id];
+      }
+      return triggers[trigger.id];
+    });
+
+    await syncTriggerAlarm(saved);
+    return { success: true, trigger: saved };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Delete a trigger
+ * @param {string} triggerId - Trigger id
+ * @returns {Promise<Object>} Success status
+ */
+async function deletePresetTrigger(triggerId) {
+  try {
+    const removed = await updatePresetTriggers((triggers) => {
+      const trigger = triggers[triggerId];
+      delete triggers[triggerId];
+      return trigger;
+    });
+
+    if (!removed) {
+      throw new Error('Trigger not found');
+    }
+
+    await chrome.alarms.clear(TRIGGER_ALARM_PREFIX + triggerId);
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Apply a trigger's preset and log the outcome
+ * @param {Object} trigger - Trigger
+ * @param {Object} [context] - What fired it
+ * @param {string} [context.host] - Host the tab navigated to ('navigation')
+ * @param {number} [context.tabId] - Tab that navigated ('navigation')
+ * @returns {Promise<Object>} applyPreset() result
+ */
+async function runPresetTrigger(trigger, { host, tabId } = {}) {
+  const domain = host || trigger.domain;
+  const result = await applyPreset(trigger.presetName, domain, {
+    mode: trigger.mode,
+    placement: trigger.placement,
+    reloadTab: trigger.reloadTab && tabId === undefined
+  });
+
+  if (result.success && trigger.reloadTab && tabId !== undefined) {
+    await chrome.tabs.reload(tabId).catch(() => {});
+  }
+
+  const timestamp = Date.now();
+  await updatePresetTriggers((triggers, log) => {
+    if (triggers[trigger.id]) {
+      triggers[trigger.id].lastRunAt = timestamp;
+    }
+
+    log.push({
+      timestamp,
+      triggerId: trigger.id,
+      presetName: trigger.presetName,
+      type: trigger.type,
+      domain,
+      success: result.success,
+      applied: result.applied,
+      failed: result.failed,
+      error: result.success ? undefined : result.error
+    });
+  });
+
+  return result;
+}
+
+/**
+ * Run every enabled startup trigger; in passphrase mode they wait until the vault is unlocked
+ * @returns {Promise<void>}
+ */
+async function runStartupTriggers() {
+  const { presetTriggers = {} } = await chrome.storage.local.get(['presetTriggers']);
+  const triggers = Object.values(presetTriggers).filter(trigger => trigger.type === 'startup' && trigger.enabled);
+  if (triggers.length === 0) return;
+
+  const status = await getVaultStatus();
+  if (status.locked) {
+    await chrome.storage.session.set({ deferredTriggers: triggers.map(trigger => trigger.id) });
+    return;
+  }
+
+  for (const trigger of triggers) {
+    await runPresetTrigger(trigger);
+  }
+}
+
+/**
+ * Run startup triggers that were waiting for the vault to be unlocked
+ * @returns {Promise<void>}
+ */
+async function runDeferredTriggers() {
+  const { deferredTriggers = [] } = await chrome.storage.session.get(['deferredTriggers']);
+  if (deferredTriggers.length === 0) return;
+
+  await chrome.storage.session.remove('deferredTriggers');
+  const { presetTriggers = {} } = await chrome.storage.local.get(['presetTriggers']);
+
+  for (const id of deferredTriggers) {
+    if (presetTriggers[id] && presetTriggers[id].enabled) {
+      await runPresetTrigger(presetTriggers[id]);
+    }
+  }
+}
+
+/**
+ * Run the schedule trigger behind an alarm
+ * @param {string} alarmName - Alarm name
+ * @returns {Promise<void>}
+ */
+async function runScheduledTrigger(alarmName) {
+  const id = alarmName.substring(TRIGGER_ALARM_PREFIX.length);
+  const { presetTriggers = {} } = await chrome.storage.local.get(['presetTriggers']);
+  const trigger = presetTriggers[id];
+
+  if (!trigger || !trigger.enabled || trigger.type !== 'schedule') {
+    await chrome.alarms.clear(alarmName);
+    return;
+  }
+
+  await runPresetTrigger(trigger);
+}
+
+/**
+ * Run navigation triggers for a tab that moved to a new URL
+ * @param {number} tabId - Tab id
+ * @param {string} url - New URL
+ * @returns {Promise<void>}
+ */
+async function runNavigationTriggers(tabId, url) {
+  if (!url.startsWith('http')) return;
+
+  const host = extractDomain(url);
+  const { presetTriggers = {} } = await chrome.storage.local.get(['presetTriggers']);
+  const triggers = Object.values(presetTriggers).filter(trigger =>
+    trigger.type === 'navigation' && trigger.enabled && domainMatches(trigger.domain, host));
+  if (triggers.length === 0) return;
+
+  // Cooldowns are per browser session so a restart applies the preset again
+  const { triggerFiredAt = {} } = await chrome.storage.session.get(['triggerFiredAt']);
+  const now = Date.now();
+  const due = triggers.filter(trigger =>
+    !triggerFiredAt[trigger.id] || now - triggerFiredAt[trigger.id] >= trigger.cooldownMinutes * 60000);
+  if (due.length === 0) return;
+
+  due.forEach(trigger => { triggerFiredAt[trigger.id] = now; });
+  await chrome.storage.session.set({ triggerFiredAt });
+
+  for (const trigger of due) {
+    await runPresetTrigger(trigger, { host, tabId });
+  }
+}
+
+// ==================== Profiles ====================
+
+const PROFILE_BINDINGS = ['group', 'window'];
+
+// Swaps run one at a time so quick tab switching can't interleave two saves and applies
+let profileSwapQueue = Promise.resolve();
+
+// Serializes profile writes so a rebind can't undo a save or delete made from the popup
+let profileWriteQueue = Promise.resolve();
+
+/**
+ * Read-modify-write the profiles, one caller at a time
+ * @param {Function} mutate - (profiles) => result; may modify the profiles map in place
+ * @returns {Promise<*>} The mutator's result
+ */
+function updateProfiles(mutate) {
+  const write = profileWriteQueue.then(async () => {
+    const { profiles = {} } = await chrome.storage.local.get(['profiles']);
+    const result = await mutate(profiles);
+    await chrome.storage.local.set({ profiles });
+    return result;
+  });
+
+  profileWriteQueue = write.catch(() => {});
+  return write;
+}
+
+/**
+ * Describe the tab group or window a tab belongs to
+ * @param {Object} tab - Chrome tab
+ * @returns {Promise<Object>} { windowId, groupId, groupTitle, incognito }
+ */
+async function getTabBindingTargets(tab) {
+  let groupTitle = null;
+
+  if (tab.groupId !== undefined && tab.groupId !== chrome.tabGroups.TAB_GROUP_ID_NONE) {
+    const group = await chrome.tabGroups.get(tab.groupId).catch(() => null);
+    groupTitle = group ? group.title || '' : null;
+  }
+
+  return {
+    windowId: tab.windowId,
+    groupId: groupTitle === null ? null : tab.groupId,
+    groupTitle,
+    incognito: tab.incognito
+  };
+}
+
+/**
+ * Get the group and window of the active tab, for binding a profile to them
+ * @returns {Promise<Object>} Success status with windowId, groupId and groupTitle
+ */
+async function getCurrentTabContext() {
+  try {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    if (!tab) {
+      throw new Error('No active tab found');
+    }
+
+    return { success: true, tabId: tab.id, ...(await getTabBindingTargets(tab)) };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * List profiles, which profile is active on each site, and the last swap
+ * @returns {Promise<Object>} Success status with profiles, active and lastSwap
+ */
+async function getProfiles() {
+  try {
+    const { profiles = {} } = await chrome.storage.local.get(['profiles']);
+    const { activeProfiles = {}, lastProfileSwap = null } =
+      await chrome.storage.session.get(['activeProfiles', 'lastProfileSwap']);
+
+    return {
+      success: true,
+      profiles: Object.values(profiles).sort((a, b) => a.createdAt - b.createdAt),
+      active: activeProfiles,
+      lastSwap: lastProfileSwap
+    };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Bind a preset to the active tab's group or window; focusing a tab there swaps it in
+ * A profile for the same site and group/window is replaced
+ * @param {Object} profile - Profile fields
+ * @param {string} profile.presetName - Preset holding the profile's cookies
+ * @param {string} profile.domain - Site whose cookies the profile owns (subdomains included)
+ * @param {string} profile.binding - 'group' or 'window'
+ * @returns {Promise<Object>} Success status with the saved profile and the swap result
+ */
+async function saveProfile({ presetName, domain, binding }) {
+  try {
+    const { presets = {} } = await chrome.storage.local.get(['presets']);
+    if (!presets[presetName]) {
+      throw new Error(`Preset "${presetName}" not found`);
+    }
+
+    const site = normalizeDomain(domain);
+    if (!site) {
+      throw new Error('Domain is required');
+    }
+
+    if (!PROFILE_BINDINGS.includes(binding)) {
+      throw new Error(`Unknown profile binding: ${binding}`);
+    }
+
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    if (!tab) {
+      throw new Error('No active tab found');
+    }
+
+    const targets = await getTabBindingTargets(tab);
+    if (targets.incognito) {
+      throw new Error('Profiles cannot be bound to incognito windows');
+    }
+    if (binding === 'group' && targets.groupId === null) {
+      throw new Error('The current tab is not in a tab group');
+    }
+
+    const bindingId = binding === 'group' ? targets.groupId : targets.windowId;
+    const profile = await updateProfiles((profiles) => {
+      for (const [id, existing] of Object.entries(profiles)) {
+        if (existing.domain === site && existing.binding === binding && existing.bindingId === bindingId) {
+          delete profiles[id];
+        }
+      }
+
+      const id = crypto.randomUUID();
+      profiles[id] = {
+        id,
+        presetName,
+        domain: site,
+        binding,
+        bindingId,
+        // Group ids change when the browser restarts; rebindProfiles() finds the group again by title
+        bindingTitle: binding === 'group' ? targets.groupTitle || null : null,
+        createdAt: Date.now()
+      };
+      return profiles[id];
+    });
+
+    const swap = await queueProfileSwap(tab);
+    return { success: true, profile, swap };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Delete a profile; its preset is kept
+ * @param {string} profileId - Profile id
+ * @returns {Promise<Object>} Success status
+ */
+async function deleteProfile(profileId) {
+  try {
+    await updateProfiles((profiles) => {
+      if (!profiles[profileId]) {
+        throw new Error('Profile not found');
+      }
+      delete profiles[profileId];
+    });
+
+    const { activeProfiles = {} } = await chrome.storage.session.get(['activeProfiles']);
+    for (const [site, id] of Object.entries(activeProfiles)) {
+      if (id === profileId) delete activeProfiles[site];
+    }
+    await chrome.storage.session.set({ activeProfiles });
+
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Find the profile that owns a tab: a group binding wins over a window binding
+ * @param {Object} profiles - Profiles map
+ * @param {Object} tab - Chrome tab
+ * @returns {Object|null} Profile
+ */
+function findProfileForTab(profiles, tab) {
+  const host = extractDomain(tab.url);
+  const forSite = Object.values(profiles).filter(profile => domainMatches(profile.domain, host));
+
+  return forSite.find(profile => profile.binding === 'group' && profile.bindingId === tab.groupId) ||
+    forSite.find(profile => profile.binding === 'window' && profile.bindingId === tab.windowId) ||
+    null;
+}
+
+/**
+ * Swap in the cookies of the profile that owns a tab, saving the outgoing
+ * profile's current cookies back to its preset first
+ * @param {Object} tab - Chrome tab that gained focus
+ * @returns {Promise<Object|null>} Swap result, or null if nothing needed to change
+ */
+async function swapProfileForTab(tab) {
+  if (!tab || !tab.url || !tab.url.startsWith('http') || tab.incognito) return null;
+
+  const { profiles = {} } = await chrome.storage.local.get(['profiles']);
+  const profile = findProfileForTab(profiles, tab);
+  if (!profile) return null;
+
+  const { activeProfiles = {} } = await chrome.storage.session.get(['activeProfiles']);
+  const outgoing = profiles[activeProfiles[profile.domain]];
+  if (outgoing && outgoing.id === profile.id) return null;
+
+  const swap = {
+    at: Date.now(),
+    domain: profile.domain,
+    from: outgoing ? outgoing.presetName : null,
+    to: profile.presetName
+  };
+
+  try {
+    if (outgoing) {
+      // The site may have refreshed tokens since the swap in, so keep what it has now
+      const current = await chrome.cookies.getAll(cookieQuery({ domain: profile.domain }));
+      const saved = await savePreset(outgoing.presetName, current);
+      if (!saved.success) {
+        throw new Error(`Could not save "${outgoing.presetName}": ${saved.error}`);
+      }
+    }
+
+    const applied = await applyPreset(profile.presetName, profile.domain, { mode: 'switch', placement: 'original' });
+    if (!applied.success) {
+      throw new Error(applied.error);
+    }
+
+    activeProfiles[profile.domain] = profile.id;
+    await chrome.storage.session.set({ activeProfiles });
+    swap.success = true;
+    swap.applied = applied.applied;
+  } catch (error) {
+    swap.success = false;
+    swap.error = error.message;
+  }
+
+  await chrome.storage.session.set({ lastProfileSwap: swap });
+  return swap;
+}
+
+/**
+ * Queue a profile swap behind any that are still running
+ * @param {Object} tab - Chrome tab that gained focus
+ * @returns {Promise<Object|null>} Swap result
+ */
+function queueProfileSwap(tab) {
+  const swap = profileSwapQueue.then(() => swapProfileForTab(tab));
+  profileSwapQueue = swap.catch((error) => {
+    console.warn('Failed to swap profile:', error.message);
+  });
+  return swap;
+}
+
+/**
+ * Point group profiles at their groups again by title, following renames of groups
+ * that are still open; group and window ids change when the browser restarts
+ * @param {Object} [options] - Rebind options
+ * @param {boolean} [options.startup=false] - Stored ids are from before a restart: match groups
+ *   by title only and unbind window profiles, which have nothing to match by
+ * @returns {Promise<void>}
+ */
+async function rebindProfiles({ startup = false } = {}) {
+  const { profiles: stored = {} } = await chrome.storage.local.get(['profiles']);
+  if (Object.keys(stored).length === 0) return;
+
+  const incognitoWindows = new Set((await chrome.windows.getAll())
+    .filter(browserWindow => browserWindow.incognito)
+    .map(browserWindow => browserWindow.id));
+  const groups = (await chrome.tabGroups.query({})).filter(group => !incognitoWindows.has(group.windowId));
+
+  // Profiles are read again inside the write, so saves and deletes made meanwhile are kept
+  await updateProfiles((profiles) => {
+    for (const profile of Object.values(profiles)) {
+      let bindingId = profile.bindingId;
+
+      if (profile.binding === 'window') {
+        if (startup) bindingId = null;
+      } else {
+        const current = !startup && groups.find(group => group.id === profile.bindingId);
+        if (current) {
+          if (current.title && current.title !== profile.bindingTitle) {
+            profile.bindingTitle = current.title;
+          }
+        } else {
+          // Two open groups with the same title are ambiguous; wait until one is renamed or closed
+          const titled = profile.bindingTitle ? groups.filter(group => group.title === profile.bindingTitle) : [];
+          bindingId = titled.length === 1 ? titled[0].id : null;
+        }
+      }
+
+      profile.bindingId = bindingId;
+    }
+  });
+}
+
+/**
+ * Queue a profile rebind behind any running swaps
+ * @param {Object} [options] - See rebindProfiles()
+ * @returns {Promise<void>}
+ */
+function queueProfileRebind(options) {
+  const rebind = profileSwapQueue.then(() => rebindProfiles(options));
+  profileSwapQueue = rebind.catch((error) => {
+    console.warn('Failed to rebind profiles:', error.message);
+  });
+  return rebind;
+}
+
+/**
+ * Get the domain of the current active tab
+ * @returns {Promise<Object>} Domain string, plus the tab's cookie store and incognito flag
+ */
+async function getCurrentTabDomain() {
+  try {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    if (!tab || !tab.url) {
+      throw new Error('No active tab found');
+    }
+
+    const domain = extractDomain(tab.url);
+    const storeId = await getTabStoreId(tab.id);
+    return { success: true, domain, storeId, incognito: !!tab.incognito };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+// Serializes preset writes; profile swaps and triggers save and load presets in the background
+let presetWriteQueue = Promise.resolve();
+
+/**
+ * Read-modify-write the presets and their metadata, one caller at a time
+ * @param {Function} mutate - (presets, presetMeta) => result; may modify both in place
+ * @returns {Promise<*>} The mutator's result
+ */
+function updatePresets(mutate) {
+  const write = presetWriteQueue.then(async () => {
+    const { presets = {}, presetMeta = {} } = await chrome.storage.local.get(['presets', 'presetMeta']);
+    const result = await mutate(presets, presetMeta);
+    await chrome.storage.local.set({ presets, presetMeta });
+    return result;
+  });
+
+  presetWriteQueue = write.catch(() => {});
+  return write;
+}
+
+/**
+ * Guess the site a preset belongs to from its cookies
+ * @param {Array} cookies - Preset cookies
+ * @returns {string|null} Most common cookie domain without leading dot
+ */
+function inferPresetDomain(cookies) {
+  const counts = {};
+  for (const cookie of cookies) {
+    if (!cookie.domain) continue;
+    const domain = normalizeDomain(cookie.domain);
+    counts[domain] = (counts[domain] || 0) + 1;
+  }
+
+  const ranked = Object.keys(counts).sort((a, b) => counts[b] - counts[a] || a.length - b.length);
+  return ranked[0] || null;
+}
+
+/**
+ * Build the unencrypted metadata record stored next to a preset blob
+ * Only what's needed to list and sort presets; cookie names and values stay encrypted
+ * @param {Array} cookies - Preset cookies
+ * @param {Object} [existing] - Previous record, whose createdAt and note are kept
+ * @param {Object} [details] - { domain, note } overrides
+ * @returns {Object} { domain, createdAt, updatedAt, cookieCount, earliestExpiry, note }
+ */
+function buildPresetMeta(cookies, existing = {}, details = {}) {
+  const now = Date.now();
+  const expiries = cookies
+    .filter(cookie => !cookie.session && cookie.expirationDate)
+    .map(cookie => cookie.expirationDate);
+
+  return {
+    domain: details.domain || existing.domain || inferPresetDomain(cookies),
+    createdAt: existing.createdAt || now,
+    updatedAt: now,
+    cookieCount: cookies.length,
+    earliestExpiry: expiries.length > 0 ? Math.min(...expiries) : null,
+    note: details.note !== undefined ? details.note : (existing.note || '')
+  };
+}
+
+/**
+ * Save cookies as an encrypted preset
+ * @param {string} presetName - Name of the preset
+ * @param {Array} cookies - Array of cookies to save
+ * @param {Object} [details] - Metadata to record
+ * @param {string} [details.domain] - Site the cookies were captured from
+ * @param {string} [details.note] - Free-text note
+ * @returns {Promise<Object>} Success status
+ */
+async function savePreset(presetName, cookies, details = {}) {
+  try {
+    if (!presetName || !presetName.trim()) {
+      throw new Error('Preset name is required');
+    }
+
+    if (!Array.isArray(cookies)) {
+      throw new Error('Cookies must be an array');
+    }
+
+    const encryptedData = await encryptJSON(cookies);
+    
+    const meta = await updatePresets((presets, presetMeta) => {
+      presets[presetName] = encryptedData;
+      presetMeta[presetName] = buildPresetMeta(cookies, presetMeta[presetName], details);
+      return presetMeta[presetName];
+    });
+    
+    return { success: true, presetName, meta };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Update the free-text note of a preset
+ * @param {string} presetName - Name of the preset
+ * @param {string} note - New note (empty to clear)
+ * @returns {Promise<Object>} Success status with the updated metadata
+ */
+async function updatePresetNote(presetName, note) {
+  try {
+    const meta = await updatePresets((presets, presetMeta) => {
+      if (!presets[presetName]) {
+        throw new Error(`Preset "${presetName}" not found`);
+      }
+
+      presetMeta[presetName] = { ...presetMeta[presetName], note: String(note || '').trim() };
+      return presetMeta[presetName];
+    });
+
+    return { success: true, presetName, meta };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Load and decrypt a preset
+ * @param {string} presetName - Name of the preset
+ * @returns {Promise<Object>} Decrypted cookies
+ */
+async function loadPreset(presetName) {
+  try {
+    if (!presetName) {
+      throw new Error('Preset name is required');
+    }
+
+    const result = await chrome.storage.local.get(['presets']);
+    const presets = result.presets || {};
+    
+    if (!presets[presetName]) {
+      throw new Error(`Preset "${presetName}" not found`);
+    }
+
+    const cookies = await decryptJSON(presets[presetName]);
+
+    // Presets saved before metadata existed get a record the first time they are opened
+    const { presetMeta = {} } = await chrome.storage.local.get(['presetMeta']);
+    let meta = presetMeta[presetName];
+    if (!meta) {
+      // Checked again in the write, since a save or rename may have happened meanwhile
+      meta = await updatePresets((latestPresets, latestMeta) => {
+        if (latestPresets[presetName] && !latestMeta[presetName]) {
+          const backfill = buildPresetMeta(cookies);
+          backfill.createdAt = null;
+          backfill.updatedAt = null;
+          latestMeta[presetName] = backfill;
+        }
+        return latestMeta[presetName];
+      });
+    }
+    
+    return { success: true, cookies, meta };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Get all presets with their metadata
+ * @returns {Promise<Object>} Array of { name, domain, createdAt, updatedAt, cookieCount,
+ *   earliestExpiry, note }; fields are null for presets saved before metadata existed
+ */
+async function getPresets() {
+  try {
+    const result = await chrome.storage.local.get(['presets', 'presetMeta']);
+    const presets = result.presets || {};
+    const presetMeta = result.presetMeta || {};
+    const presetList = Object.keys(presets).map(name => ({
+      name,
+      domain: null,
+      createdAt: null,
+      updatedAt: null,
+      cookieCount: null,
+      earliestExpiry: null,
+      note: '',
+      ...presetMeta[name]
+    }));
+    
+    return { success: true, presets: presetList };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Delete a preset
+ * @param {string} presetName - Name of the preset to delete
+ * @returns {Promise<Object>} Success status
+ */
+async function deletePreset(presetName) {
+  try {
+    if (!presetName) {
+      throw new Error('Preset name is required');
+    }
+
+    await updatePresets((presets, presetMeta) => {
+      if (!presets[presetName]) {
+        throw new Error(`Preset "${presetName}" not found`);
+      }
+
+      delete presets[presetName];
+      delete presetMeta[presetName];
+    });
+
+    const removedTriggers = await updatePresetTriggers((triggers) => {
+      const ids = Object.keys(triggers).filter(id => triggers[id].presetName === presetName);
+      ids.forEach(id => delete triggers[id]);
+      return ids;
+    });
+    for (const id of removedTriggers) {
+      await chrome.alarms.clear(TRIGGER_ALARM_PREFIX + id);
+    }
+
+    const { profiles = {} } = await chrome.storage.local.get(['profiles']);
+    const profileIds = Object.keys(profiles).filter(id => profiles[id].presetName === presetName);
+    for (const id of profileIds) {
+      await deleteProfile(id);
+    }
+    
+    return { success: true, presetName };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Rename a preset
+ * @param {string} oldName - Current name of the preset
+ * @param {string} newName - New name for the preset
+ * @returns {Promise<Object>} Success status
+ */
+async function renamePreset(oldName, newName) {
+  try {
+    if (!oldName || !newName) {
+      throw new Error('Both old and new names are required');
+    }
+
+    if (oldName === newName) {
+      throw new Error('New name must be different from old name');
+    }
+
+    await updatePresets((presets, presetMeta) => {
+      if (!presets[oldName]) {
+        throw new Error(`Preset "${oldName}" not found`);
+      }
+
+      if (presets[newName]) {
+        throw new Error(`Preset "${newName}" already exists`);
+      }
+
+      presets[newName] = presets[oldName];
+      delete presets[oldName];
+
+      if (presetMeta[oldName]) {
+        presetMeta[newName] = presetMeta[oldName];
+        delete presetMeta[oldName];
+      }
+    });
+
+    await updatePresetTriggers((triggers, log) => {
+      [...Object.values(triggers), ...log]
+        .filter(item => item.presetName === oldName)
+        .forEach(item => { item.presetName = newName; });
+    });
+
+    await updateProfiles((profiles) => {
+      Object.values(profiles)
+        .filter(profile => profile.presetName === oldName)
+        .forEach(profile => { profile.presetName = newName; });
+    });
+    
+    return { success: true, oldName, newName };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+const APPLY_MODES = ['merge', 'switch'];
+const APPLY_PLACEMENTS = ['host', 'original', 'retarget'];
+
+/**
+ * Work out where each preset cookie should be written
+ * @param {Array} cookies - Preset cookies
+ * @param {string} domain - Target domain
+ * @param {string} placement - 'host' puts every cookie on the target host (legacy behaviour);
+ *   'original' restores each cookie exactly as captured; 'retarget' moves the cookies to the
+ *   target site keeping subdomains, paths and host-only flags
+ * @param {string|null} presetDomain - Site the preset was captured on
+ * @returns {Array<Object>} setCookie() details, in preset order
+ * @throws {Error} If the cookies cannot be retargeted
+ */
+function placePresetCookies(cookies, domain, placement, presetDomain) {
+  switch (placement) {
+    case 'original':
+      return cookies.map(toExactCookieDetails);
+
+    case 'retarget': {
+      const retarget = createDomainRetargeter(cookies.map(cookie => cookie.domain), presetDomain, domain);
+      return cookies.map(cookie => toExactCookieDetails({ ...cookie, domain: retarget(cookie.domain) }));
+    }
+
+    default:
+      return cookies.map(cookie => ({
+        ...cookie,
+        domain,
+        url: constructUrl(domain, cookie.secure)
+      }));
+  }
+}
+
+/**
+ * Key of a domain's undo snapshot; the normal store keeps the plain domain
+ * so snapshots taken before stores were supported still resolve
+ * @param {string} domain - Domain
+ * @param {string} [storeId] - Cookie store ID
+ * @returns {string} Key in switchSnapshots
+ */
+function switchSnapshotKey(domain, storeId) {
+  return storeId && storeId !== '0' ? `${storeId}:${domain}` : domain;
+}
+
+/**
+ * Collect the cookies an account switch on a host replaces: the host's own, its
+ * subdomains', and parent-domain cookies like .example.com that the host also receives
+ * @param {string} domain - Host being switched
+ * @param {string} [storeId] - Cookie store
+ * @returns {Promise<Array>} Chrome cookie objects
+ */
+async function getSwitchCookies(domain, storeId) {
+  const host = normalizeDomain(domain);
+  const all = await chrome.cookies.getAll(cookieQuery({}, storeId));
+  return all.filter(cookie =>
+    domainMatches(cookie.domain, host, cookie.hostOnly) || domainMatches(host, cookie.domain));
+}
+
+/**
+ * Snapshot a domain's cookies for undoSwitch(), then remove them
+ * The snapshot is stored before anything is removed, so a failure leaves cookies untouched
+ * @param {string} domain - Domain being switched
+ * @param {string} presetName - Preset being switched to
+ * @param {Object} batch - Journal batch for the removals
+ * @param {string} [storeId] - Cookie store being switched
+ * @returns {Promise<Object>} { removed, errors }
+ */
+async function clearDomainForSwitch(domain, presetName, batch, storeId) {
+  const current = await getSwitchCookies(domain, storeId);
+
+  const area = storageAreaFor(storeId);
+  const { switchSnapshots = {} } = await area.get(['switchSnapshots']);
+  switchSnapshots[switchSnapshotKey(domain, storeId)] = {
+    domain,
+    storeId,
+    presetName,
+    takenAt: Date.now(),
+    count: current.length,
+    data: await encryptJSON(current)
+  };
+  await area.set({ switchSnapshots });
+
+  let removed = 0;
+  const errors = [];
+
+  for (const cookie of current) {
+    const result = await deleteCookie(cookie, batch);
+    if (result.success) {
+      removed++;
+    } else {
+      errors.push({ name: cookie.name, error: result.error });
+    }
+  }
+
+  return { removed, errors };
+}
+
+/**
+ * Describe the undo snapshot of the last account switch on a domain
+ * @param {string} domain - Domain
+ * @param {string} [storeId] - Cookie store
+ * @returns {Promise<Object>} Snapshot summary ({ domain, presetName, takenAt, count }) or null
+ */
+async function getSwitchSnapshot(domain, storeId) {
+  try {
+    const { switchSnapshots = {} } = await storageAreaFor(storeId).get(['switchSnapshots']);
+    const snapshot = switchSnapshots[switchSnapshotKey(domain, storeId)];
+
+    if (!snapshot) {
+      return { success: true, snapshot: null };
+    }
+
+    const { data, ...summary } = snapshot;
+    return { success: true, snapshot: summary };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Undo the last account switch on a domain by restoring the cookies it replaced
+ * @param {string} domain - Domain
+ * @param {Object} [options] - Undo options
+ * @param {boolean} [options.reloadTab=false] - Reload the active tab afterwards
+ * @param {string} [options.storeId] - Cookie store the switch was made in
+ * @returns {Promise<Object>} Success status with restored count
+ */
+async function undoSwitch(domain, { reloadTab = false, storeId } = {}) {
+  try {
+    const snapshotKey = switchSnapshotKey(domain, storeId);
+    const area = storageAreaFor(storeId);
+    const { switchSnapshots = {} } = await area.get(['switchSnapshots']);
+    const snapshot = switchSnapshots[snapshotKey];
+
+    if (!snapshot) {
+      throw new Error(`No account switch to undo for ${domain}`);
+    }
+
+    const previous = await decryptJSON(snapshot.data);
+    const current = await getSwitchCookies(domain, storeId);
+    const batch = createJournalBatch('undoSwitch', `Undo switch to "${snapshot.presetName}" on ${domain}`);
+    const errors = [];
+
+    for (const cookie of current) {
+      const result = await deleteCookie(cookie, batch);
+      if (!result.success) {
+        errors.push({ name: cookie.name, error: result.error });
+      }
+    }
+
+    let restored = 0;
+    for (const cookie of previous) {
+      const result = await setCookie({ ...toExactCookieDetails(cookie), storeId }, batch);
+      if (result.success) {
+        restored++;
+      } else {
+        errors.push({ name: cookie.name, error: result.error });
+      }
+    }
+
+    await commitJournalBatch(batch);
+
+    delete switchSnapshots[snapshotKey];
+    await area.set({ switchSnapshots });
+
+    const reloaded = reloadTab ? await reloadActiveTab() : false;
+
+    return {
+      success: true,
+      ...journalStatus(batch),
+      restored,
+      failed: errors.length,
+      reloaded,
+      errors: errors.length > 0 ? errors : undefined
+    };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Load preset and apply cookies to a domain
+ * @param {string} presetName - Name of the preset
+ * @param {string} domain - Target domain
+ * @param {Object} [options] - Apply options
+ * @param {string} [options.mode='merge'] - 'merge' adds the preset on top of existing cookies;
+ *   'switch' snapshots and removes the domain's cookies first (see undoSwitch())
+ * @param {string} [options.placement='host'] - See placePresetCookies()
+ * @param {boolean} [options.reloadTab=false] - Reload the active tab afterwards
+ * @param {string} [options.storeId] - Cookie store to write to, whichever store the
+ *   preset was captured in (defaults to the normal store)
+ * @returns {Promise<Object>} Success status with count; crossSite and warning are set
+ *   when a preset captured on an unrelated site is written to the target domain
+ */
+async function applyPreset(presetName, domain, { mode = 'merge', placement = 'host', reloadTab = false, storeId } = {}) {
+  try {
+    if (!presetName) {
+      throw new Error('Preset name is required');
+    }
+
+    if (!domain) {
+      throw new Error('Domain is required');
+    }
+
+    if (!APPLY_MODES.includes(mode)) {
+      throw new Error(`Unknown apply mode: ${mode}`);
+    }
+
+    if (!APPLY_PLACEMENTS.includes(placement)) {
+      throw new Error(`Unknown cookie placement: ${placement}`);
+    }
+
+    const loadResult = await loadPreset(presetName);
+    if (!loadResult.success) {
+      throw new Error(loadResult.error);
+    }
+
+    const cookies = loadResult.cookies;
+    const presetDomain = loadResult.meta.domain;
+    const crossSite = placement !== 'original' && !!presetDomain && !domainsRelated(presetDomain, domain);
+
+    // Placed before clearing so a preset that can't be retargeted leaves cookies untouched
+    const placed = placePresetCookies(cookies, domain, placement, presetDomain)
+      .map(details => ({ ...details, storeId }));
+
+    const verb = mode === 'switch' ? 'Switch to' : 'Apply';
+    const batch = createJournalBatch('applyPreset', `${verb} preset "${presetName}" on ${domain}`);
+
+    const cleared = mode === 'switch'
+      ? await clearDomainForSwitch(domain, presetName, batch, storeId)
+      : { removed: 0, errors: [] };
+
+    let successCount = 0;
+    let failCount = 0;
+    const errors = [...cleared.errors];
+
+    for (const [index, cookie] of cookies.entries()) {
+      const result = await setCookie(placed[index], batch);
+      if (result.success) {
+        successCount++;
+      } else {
+        failCount++;
+        errors.push({ name: cookie.name, error: result.error });
+      }
+    }
+
+    await commitJournalBatch(batch);
+
+    const reloaded = reloadTab ? await reloadActiveTab() : false;
+
+    return { 
+      success: true, 
+      ...journalStatus(batch),
+      applied: successCount,
+      failed: failCount,
+      mode,
+      placement,
+      removed: cleared.removed,
+      reloaded,
+      presetDomain,
+      crossSite,
+      warning: crossSite ? `Preset was captured on ${presetDomain}, applied to ${domain}` : undefined,
+      errors: errors.length > 0 ? errors : undefined
+    };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+// ==================== Batch Actions ====================
+
+/**
+ * Delete several cookies as one journaled operation
+ * @param {Array} cookies - Chrome cookie objects to delete
+ * @returns {Promise<Object>} Success status with deleted and failed counts
+ */
+async function batchDeleteCookies(cookies) {
+  try {
+    if (!Array.isArray(cookies) || cookies.length === 0) {
+      throw new Error('No cookies selected');
+    }
+
+    const batch = createJournalBatch('batchDelete', `Delete ${cookies.length} selected cookie${cookies.length === 1 ? '' : 's'}`);
+    let deleted = 0;
+    const errors = [];
+    const collateralErrors = [];
+
+    for (const cookie of cookies) {
+      const result = await deleteCookie(cookie, batch);
+      if (result.success) {
+        deleted++;
+        collateralErrors.push(...(result.collateralErrors || []));
+      } else {
+        errors.push({ name: cookie.name, error: result.error });
+      }
+    }
+
+    await commitJournalBatch(batch);
+
+    return {
+      success: true,
+      ...journalStatus(batch),
+      deleted,
+      failed: errors.length,
+      errors: errors.length > 0 ? errors : undefined,
+      collateralErrors: collateralErrors.length > 0 ? collateralErrors : undefined
+    };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Change attributes of several cookies as one journaled operation
+ * Fields left undefined in `changes` are kept as they are
+ * @param {Array} cookies - Chrome cookie objects to update
+ * @param {Object} changes - Attribute changes
+ * @param {string} [changes.sameSite] - New SameSite value
+ * @param {boolean} [changes.secure] - New Secure flag
+ * @param {boolean} [changes.httpOnly] - New HttpOnly flag
+ * @param {number} [changes.extendDays] - Push expiry this many days past the later of its
+ *   current value and now; session cookies become persistent
+ * @returns {Promise<Object>} Success status with updated and failed counts
+ */
+async function batchUpdateCookies(cookies, changes = {}) {
+  try {
+    if (!Array.isArray(cookies) || cookies.length === 0) {
+      throw new Error('No cookies selected');
+    }
+
+    const { sameSite, secure, httpOnly, extendDays } = changes;
+    if (sameSite === undefined && secure === undefined && httpOnly === undefined && !extendDays) {
+      throw new Error('No changes selected');
+    }
+
+    const batch = createJournalBatch('batchEdit', `Edit ${cookies.length} selected cookie${cookies.length === 1 ? '' : 's'}`);
+    const now = Date.now() / 1000;
+    let updated = 0;
+    const errors = [];
+
+    for (const cookie of cookies) {
+      const edited = { ...cookie };
+      if (sameSite !== undefined) edited.sameSite = sameSite;
+      if (secure !== undefined) edited.secure = secure;
+      if (httpOnly !== undefined) edited.httpOnly = httpOnly;
+      if (extendDays) {
+        const base = !cookie.session && cookie.expirationDate ? Math.max(cookie.expirationDate, now) : now;
+        edited.expirationDate = Math.floor(base + extendDays * 86400);
+        edited.session = false;
+      }
+
+      const result = await setCookie(toExactCookieDetails(edited), batch);
+      if (result.success) {
+        updated++;
+      } else {
+        errors.push({ name: cookie.name, error: result.error });
+      }
+    }
+
+    await commitJournalBatch(batch);
+
+    return {
+      success: true,
+      ...journalStatus(batch),
+      updated,
+      failed: errors.length,
+      errors: errors.length > 0 ? errors : undefined
+    };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Copy cookies into another cookie store (e.g. from the normal store to incognito)
+ * as one journaled operation; the originals are left in place
+ * @param {Array} cookies - Chrome cookie objects to copy
+ * @param {string} targetStoreId - Store to write the copies to
+ * @returns {Promise<Object>} Success status with copied count
+ */
+async function copyCookiesToStore(cookies, targetStoreId) {
+  try {
+    if (!Array.isArray(cookies) || cookies.length === 0) {
+      throw new Error('No cookies selected');
+    }
+
+    const stores = await chrome.cookies.getAllCookieStores();
+    if (!stores.some(store => store.id === targetStoreId)) {
+      throw new Error('That cookie store is not open; open an incognito window first');
+    }
+
+    const label = await getCookieStoreLabel(targetStoreId, stores);
+    const batch = createJournalBatch('copyToStore',
+      `Copy ${cookies.length} cookie${cookies.length === 1 ? '' : 's'} to ${label.toLowerCase()} store`);
+    let copied = 0;
+    const errors = [];
+
+    for (const cookie of cookies) {
+      const result = await setCookie({ ...toExactCookieDetails(cookie), storeId: targetStoreId }, batch);
+      if (result.success) {
+        copied++;
+      } else {
+        errors.push({ name: cookie.name, error: result.error });
+      }
+    }
+
+    await commitJournalBatch(batch);
+
+    return {
+      success: true,
+      ...journalStatus(batch),
+      copied,
+      failed: errors.length,
+      storeId: targetStoreId,
+      errors: errors.length > 0 ? errors : undefined
+    };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Export cookies for a domain
+ * @param {string} domain - Domain to export cookies from
+ * @param {Object} [options] - Export options
+ * @param {string} [options.format='json'] - 'json', 'netscape' (cookies.txt), 'header'
+ *   (Cookie request header), 'curl', 'har' (HAR cookies array), 'playwright'
+ *   (storageState) or 'puppeteer'
+ * @param {string} [options.url] - Request URL for 'header' and 'curl' (defaults to https://<domain>/)
+ * @param {boolean} [options.encrypted=false] - Whether to encrypt the export (JSON only)
+ * @param {string} [options.password] - Encrypt with this password instead of the master key,
+ *   so the export can be imported in another browser
+ * @param {Array} [options.selection] - Export only these cookies (matched by identity, see
+ *   isSameCookie()), in this order, instead of the whole domain
+ * @param {string} [options.query] - Export only cookies matching this search query, in its
+ *   sort order (see parseCookieQuery())
+ * @param {string} [options.storeId] - Cookie store to export from
+ * @returns {Promise<Object>} Serialized cookies
+ */
+async function exportCookies(domain, { format = 'json', url, encrypted = false, password, selection, query, storeId } = {}) {
+  try {
+    const result = await getCookies(domain, storeId);
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+
+    if (Array.isArray(selection)) {
+      result.cookies = selection
+        .map(selected => result.cookies.find(cookie => isSameCookie(selected, cookie)))
+        .filter(Boolean);
+    }
+
+    if (query) {
+      result.cookies = filterCookiesByQuery(result.cookies, query);
+    }
+
+    if (encrypted && format !== 'json') {
+      throw new Error('Encryption is only available for JSON exports');
+    }
+
+    const requestUrl = url || constructUrl(domain) + '/';
+
+    let exportData;
+    if (format === 'netscape') {
+      exportData = toNetscapeCookiesTxt(result.cookies);
+    } else if (format === 'header') {
+      exportData = toCookieHeader(result.cookies, requestUrl);
+    } else if (format === 'curl') {
+      exportData = toCurlCommand(result.cookies, requestUrl);
+    } else if (format === 'har') {
+      exportData = JSON.stringify(toHarCookies(result.cookies), null, 2);
+    } else if (format === 'playwright') {
+      exportData = JSON.stringify(toPlaywrightStorageState(result.cookies), null, 2);
+    } else if (format === 'puppeteer') {
+      exportData = JSON.stringify(toPuppeteerCookies(result.cookies), null, 2);
+    } else if (format !== 'json') {
+      throw new Error(`Unknown export format: ${format}`);
+    } else if (encrypted && password) {
+      exportData = await encryptWithPassword(result.cookies, password);
+    } else if (encrypted) {
+      exportData = await encryptJSON(result.cookies);
+    } else {
+      exportData = JSON.stringify(result.cookies, null, 2);
+    }
+
+    return { success: true, data: exportData, format, encrypted, passwordProtected: !!(encrypted && password) };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Decrypt, parse and normalize import data into Chrome cookie objects
+ * JSON from EditThisCookie, Cookie-Editor, Playwright and Puppeteer is accepted as well
+ * @param {string} data - Serialized cookies or encrypted data
+ * @param {Object} options - See importCookies()
+ * @returns {Promise<Object>} { cookies, source, warnings }
+ * @throws {Error} If the data cannot be decrypted or parsed
+ */
+async function parseImportData(data, { format = 'auto', encrypted = false, password } = {}) {
+  let parsed;
+  let source = null;
+
+  if (encrypted && describeEnvelope(data).keyType === 'password') {
+    if (!password) {
+      throw new Error('This export is password-protected; enter its password');
+    }
+    parsed = await decryptWithPassword(data, password);
+  } else if (encrypted) {
+    parsed = await decryptJSON(data);
+  } else {
+    const resolvedFormat = format === 'auto' ? detectCookieFormat(data) : format;
+
+    switch (resolvedFormat) {
+      case 'json':
+        parsed = JSON.parse(data);
+        break;
+
+      case 'netscape':
+        parsed = parseNetscapeCookiesTxt(data);
+        source = 'netscape';
+        break;
+
+      default:
+        throw new Error(`Unknown import format: ${format}`);
+    }
+  }
+
+  const result = normalizeImportedCookies(parsed);
+  return { ...result, source: source || result.source };
+}
+
+/**
+ * Find the live cookie an imported cookie would overwrite
+ * @param {Object} cookie - Normalized cookie object
+ * @param {string} [storeId] - Cookie store the import goes to
+ * @returns {Promise<Object|null>} Live cookie or null
+ */
+async function findLiveCookie(cookie, storeId) {
+  const candidates = await chrome.cookies.getAll(cookieQuery({
+    name: cookie.name,
+    domain: normalizeDomain(cookie.domain)
+  }, storeId));
+  return candidates.find(candidate => isSameCookie(candidate, cookie)) || null;
+}
+
+/**
+ * Parse import data and compare it with the browser without writing anything
+ * @param {string} data - Serialized cookies or encrypted data
+ * @param {Object} [options] - See importCookies()
+ * @returns {Promise<Object>} Items with index, cookie, status ('new', 'changed',
+ *   'unchanged' or 'invalid'), changes and problems
+ */
+async function previewImport(data, options = {}) {
+  try {
+    if (!data) {
+      throw new Error('Cookie data is required');
+    }
+
+    const { cookies, source, warnings } = await parseImportData(data, options);
+    const items = [];
+
+    for (const [index, cookie] of cookies.entries()) {
+      const problems = getCookieProblems(cookie);
+      const live = cookie.domain ? await findLiveCookie(cookie, options.storeId) : null;
+      const changes = live ? diffCookie(live, cookie) : [];
+
+      let status;
+      if (problems.length > 0) {
+        status = 'invalid';
+      } else if (!live) {
+        status = 'new';
+      } else {
+        status = changes.length > 0 ? 'changed' : 'unchanged';
+      }
+
+      items.push({ index, cookie, status, changes, problems });
+    }
+
+    return {
+      success: true,
+      items,
+      source,
+      sourceLabel: SOURCE_LABELS[source],
+      warnings: warnings.length > 0 ? warnings : undefined
+    };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Import cookies from JSON or cookies.txt data
+ * @param {string} data - Serialized cookies or encrypted data
+ * @param {Object} [options] - Import options
+ * @param {string} [options.format='auto'] - 'auto', 'json' (any supported dialect) or 'netscape' (cookies.txt)
+ * @param {boolean} [options.encrypted=false] - Whether the data is encrypted
+ * @param {string} [options.password] - Password for password-protected exports
+ * @param {Array<number>} [options.selected] - Indices from previewImport() to apply; all if omitted
+ * @param {string} [options.storeId] - Cookie store to import into; any store recorded in
+ *   the data is ignored (defaults to the normal store)
+ * @returns {Promise<Object>} Success status with count
+ */
+async function importCookies(data, options = {}) {
+  try {
+    if (!data) {
+      throw new Error('Cookie data is required');
+    }
+
+    const { cookies: parsedCookies, source, warnings } = await parseImportData(data, options);
+    const selected = Array.isArray(options.selected) ? new Set(options.selected) : null;
+    const cookies = selected
+      ? parsedCookies.filter((cookie, index) => selected.has(index))
+      : parsedCookies;
+
+    let successCount = 0;
+    let failCount = 0;
+    const errors = [];
+    const label = SOURCE_LABELS[source] ? `Import from ${SOURCE_LABELS[source]}` : 'Import';
+    const batch = createJournalBatch('import', label);
+
+    for (const cookie of cookies) {
+      const cookieDetails = { ...toExactCookieDetails(cookie), storeId: options.storeId };
+      if (cookie.url) {
+        cookieDetails.url = cookie.url;
+      }
+
+      const result = await setCookie(cookieDetails, batch);
+      if (result.success) {
+        successCount++;
+      } else {
+        failCount++;
+        errors.push({ name: cookie.name, error: result.error });
+      }
+    }
+
+    await commitJournalBatch(batch);
+
+    return { 
+      success: true, 
+      ...journalStatus(batch),
+      imported: successCount,
+      failed: failCount,
+      source,
+      sourceLabel: SOURCE_LABELS[source],
+      warnings: warnings.length > 0 ? warnings : undefined,
+      errors: errors.length > 0 ? errors : undefined
+    };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+const VAULT_ALARM = 'vaultAutoLock';
+
+/**
+ * Keep a once-a-minute alarm running while the vault is unlocked so the
+ * auto-lock deadline is enforced even when nothing touches the key
+ */
+async function scheduleVaultAutoLock() {
+  const status = await getVaultStatus();
+  if (status.passphraseEnabled && !status.locked && status.expiresAt) {
+    await chrome.alarms.create(VAULT_ALARM, { periodInMinutes: 1 });
+  } else {
+    await chrome.alarms.clear(VAULT_ALARM);
+  }
+}
+
+/**
+ * Get passphrase/lock state of the master key vault
+ * @returns {Promise<Object>} Vault status
+ */
+async function getVaultStatusAction() {
+  try {
+    const status = await getVaultStatus();
+    return { success: true, ...status };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Unlock the vault with the user's passphrase
+ * @param {string} passphrase - User passphrase
+ * @returns {Promise<Object>} Success status
+ */
+async function unlockVaultAction(passphrase) {
+  try {
+    if (!passphrase) {
+      throw new Error('Passphrase is required');
+    }
+
+    await unlockVault(passphrase);
+    await scheduleVaultAutoLock();
+    await runDeferredTriggers();
+
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Lock the vault immediately
+ * @returns {Promise<Object>} Success status
+ */
+async function lockVaultAction() {
+  try {
+    await lockVault();
+    await scheduleVaultAutoLock();
+
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Protect the master key with a passphrase
+ * @param {string} passphrase - New passphrase
+ * @returns {Promise<Object>} Success status
+ */
+async function enablePassphraseAction(passphrase) {
+  try {
+    await enablePassphrase(passphrase);
+    await scheduleVaultAutoLock();
+
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Remove passphrase protection from the master key
+ * @param {string} passphrase - Current passphrase
+ * @returns {Promise<Object>} Success status
+ */
+async function disablePassphraseAction(passphrase) {
+  try {
+    if (!passphrase) {
+      throw new Error('Passphrase is required');
+    }
+
+    await disablePassphrase(passphrase);
+    await scheduleVaultAutoLock();
+
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Change the vault auto-lock timeout
+ * @param {number} minutes - Minutes of inactivity before locking (0 = never)
+ * @returns {Promise<Object>} Success status
+ */
+async function setAutoLockAction(minutes) {
+  try {
+    await setAutoLockMinutes(minutes);
+    await scheduleVaultAutoLock();
+
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+// Storage keys holding master-key ciphertext that rotateMasterKey() must migrate
+const ENCRYPTED_STORES = ['presets', 'switchSnapshots', 'journal'];
+// The same for incognito data, which storageAreaFor() keeps in chrome.storage.session
+const SESSION_ENCRYPTED_STORES = ['switchSnapshots', 'journal'];
+// How rotation errors name each store
+const ENCRYPTED_STORE_LABELS = { presets: 'Presets', switchSnapshots: 'Switch undo snapshots', journal: 'History' };
+
+/**
+ * Re-encrypt every blob in a storage map, collecting failures instead of stopping
+ * @param {Object} store - Map of id to ciphertext, or to a record holding it in `data`
+ * @param {Object} rotation - From createMasterKeyRotation()
+ * @param {Array} errors - Receives { name, error } for each failure
+ * @returns {Promise<Object>} Map with the same shape holding the new ciphertext
+ */
+async function reencryptStore(store, rotation, errors) {
+  const migrated = {};
+
+  for (const [id, entry] of Object.entries(store)) {
+    try {
+      migrated[id] = typeof entry === 'string'
+        ? await rotation.reencrypt(entry)
+        : { ...entry, data: await rotation.reencrypt(entry.data) };
+    } catch (error) {
+      errors.push({ name: id, error: error.message });
+    }
+  }
+
+  return migrated;
+}
+
+/**
+ * Generate a new master key and re-encrypt every preset, undo snapshot and journal batch with it
+ * Everything is migrated in memory first; the new key and data are then
+ * written in one storage call. Any failure leaves the old key and data intact.
+ * @param {string} [passphrase] - Current passphrase (required in passphrase mode)
+ * @returns {Promise<Object>} Success status with migrated preset count
+ */
+async function rotateMasterKey(passphrase) {
+  try {
+    const rotation = await createMasterKeyRotation(passphrase);
+
+    const original = await chrome.storage.local.get(ENCRYPTED_STORES);
+    const originalSession = await chrome.storage.session.get(SESSION_ENCRYPTED_STORES);
+    const migrated = {};
+    const migratedSession = {};
+    const errors = [];
+
+    for (const storeKey of ENCRYPTED_STORES) {
+      migrated[storeKey] = await reencryptStore(original[storeKey] || {}, rotation, errors);
+    }
+    for (const storeKey of SESSION_ENCRYPTED_STORES) {
+      migratedSession[storeKey] = await reencryptStore(originalSession[storeKey] || {}, rotation, errors);
+    }
+
+    if (errors.length > 0) {
+      return {
+        success: false,
+        error: `${errors.length} item(s) could not be re-encrypted; master key was not changed`,
+        errors
+      };
+    }
+
+    // Check and write behind queued preset writes, so none can land in between
+    const commit = presetWriteQueue.then(async () => {
+      // Bail out if anything was saved while we were migrating
+      const latest = await chrome.storage.local.get(ENCRYPTED_STORES);
+      const latestSession = await chrome.storage.session.get(SESSION_ENCRYPTED_STORES);
+      const changed = (keys, before, after) =>
+        keys.find(key => JSON.stringify(after[key] || {}) !== JSON.stringify(before[key] || {}));
+      const changedStore = changed(ENCRYPTED_STORES, original, latest) ||
+        changed(SESSION_ENCRYPTED_STORES, originalSession, latestSession);
+      if (changedStore) {
+        throw new Error(`${ENCRYPTED_STORE_LABELS[changedStore]} changed during rotation; master key was not changed, please try again`);
+      }
+
+      const previous = {};
+      for (const storeKey of ENCRYPTED_STORES) {
+        previous[storeKey] = original[storeKey] || {};
+      }
+      const previousSession = {};
+      for (const storeKey of SESSION_ENCRYPTED_STORES) {
+        previousSession[storeKey] = originalSession[storeKey] || {};
+      }
+
+      try {
+        await chrome.storage.local.set({ ...migrated, ...rotation.keyRecord });
+        await chrome.storage.session.set(migratedSession);
+      } catch (error) {
+        await chrome.storage.local.set({ ...previous, ...rotation.previousKeyRecord });
+        await chrome.storage.session.set(previousSession);
+        throw new Error(`Failed to store rotated key, previous key restored: ${error.message}`);
+      }
+    });
+    presetWriteQueue = commit.catch(() => {});
+    await commit;
+
+    await rotation.activate();
+    await scheduleVaultAutoLock();
+
+    return { success: true, migrated: Object.keys(migrated.presets).length };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+// ==================== Security Audit ====================
+
+/**
+ * Audit the cookies of a domain for weak security attributes
+ * The popup renders and serializes the returned report itself (see toAuditMarkdown())
+ * @param {string} domain - Domain to audit
+ * @param {Object} [options] - Audit options
+ * @param {string} [options.storeId] - Cookie store to audit
+ * @returns {Promise<Object>} Audit report (see buildAuditReport())
+ */
+async function auditCookies(domain, { storeId } = {}) {
+  try {
+    const result = await getCookies(domain, storeId);
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+
+    const report = buildAuditReport(result.cookies, normalizeDomain(domain), { storeId });
+    return { success: true, report };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+// ==================== Saved Filters ====================
+
+/**
+ * List saved search filters
+ * @returns {Promise<Object>} Success status with filters ({ name, query }) sorted by name
+ */
+async function getSavedFilters() {
+  try {
+    const { savedFilters = {} } = await chrome.storage.local.get(['savedFilters']);
+    const filters = Object.entries(savedFilters)
+      .map(([name, query]) => ({ name, query }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+    return { success: true, filters };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Save a search query under a name, replacing any filter with the same name
+ * @param {string} name - Filter name
+ * @param {string} query - Search query (see parseCookieQuery())
+ * @returns {Promise<Object>} Success status
+ */
+async function saveFilter(name, query) {
+  try {
+    const filterName = String(name || '').trim();
+    const filterQuery = String(query || '').trim();
+
+    if (!filterName) {
+      throw new Error('Filter name is required');
+    }
+
+    if (!filterQuery) {
+      throw new Error('Filter query is empty');
+    }
+
+    parseCookieQuery(filterQuery);
+
+    const { savedFilters = {} } = await chrome.storage.local.get(['savedFilters']);
+    savedFilters[filterName] = filterQuery;
+    await chrome.storage.local.set({ savedFilters });
+
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Delete a saved search filter
+ * @param {string} name - Filter name
+ * @returns {Promise<Object>} Success status
+ */
+async function deleteSavedFilter(name) {
+  try {
+    const { savedFilters = {} } = await chrome.storage.local.get(['savedFilters']);
+
+    if (!savedFilters[name]) {
+      throw new Error(`Filter "${name}" not found`);
+    }
+
+    delete savedFilters[name];
+    await chrome.storage.local.set({ savedFilters });
+
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Message handler for communication with popup
+ */
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+  (async () => {
+    try {
       let response;
 
+      // Only the popup sends messages, so this is the user's activity that keeps the vault open
+      await extendVaultSession();
+
       switch (request.action) {
         case 'getCookies':
-          response = await getCookies(request.domain);
+          response = await getCookies(request.domain, request.storeId);
           break;
 
         case 'setCookie':
-          response = await setCookie(request.cookieDetails);
+          response = await runJournaled('set', `Set cookie "${request.cookieDetails.name}"`,
+            batch => setCookie(request.cookieDetails, batch));
           break;
 
         case 'deleteCookie':
-          response = await deleteCookie(request.cookieDetails);
+          response = await runJournaled('delete', `Delete cookie "${request.cookie.name}"`,
+            batch => deleteCookie(request.cookie, batch, { unprotect: true }));
+          break;
+
+        case 'getJournal':
+          response = await getJournal();
+          break;
+
+        case 'getJournalEntries':
+          response = await getJournalEntries(request.batchId);
+          break;
+
+        case 'revertJournal':
+          response = await revertJournal(request.batchId, request.entryIndex);
+          break;
+
+        case 'clearJournal':
+          response = await clearJournal();
+          break;
+
+        case 'getProtectionRules':
+          response = await getProtectionRules();
+          break;
+
+        case 'protectCookie':
+          response = await protectCookie(request.cookie);
+          break;
+
+        case 'unprotectCookie':
+          response = await unprotectCookie(request.key);
+          break;
+
+        case 'getCookieRules':
+          response = await getCookieRules();
+          break;
+
+        case 'saveCookieRule':
+          response = await saveCookieRule(request.rule);
+          break;
+
+        case 'deleteCookieRule':
+          response = await deleteCookieRule(request.ruleId);
+          break;
+
+        case 'runTabCloseCleanup':
+          response = await runTabCloseCleanup();
+          await flushRuleCounts();
+          break;
+
+        case 'getPresetTriggers':
+          response = await getPresetTriggers(request.presetName);
+          break;
+
+        case 'savePresetTrigger':
+          response = await savePresetTrigger(request.trigger);
+          break;
+
+        case 'deletePresetTrigger':
+          response = await deletePresetTrigger(request.triggerId);
+          break;
+
+        case 'getProfiles':
+          response = await getProfiles();
+          break;
+
+        case 'saveProfile':
+          response = await saveProfile(request.profile);
+          break;
+
+        case 'deleteProfile':
+          response = await deleteProfile(request.profileId);
+          break;
+
+        case 'getCurrentTabContext':
+          response = await getCurrentTabContext();
+          break;
+
+        case 'getActivity':
+          response = await getActivity(request.domain, request.storeId);
+          break;
+
+        case 'clearActivity':
+          response = await clearActivity(request.domain, request.storeId);
+          break;
+
+        case 'getCookieStores':
+          response = await getCookieStores();
           break;
 
         case 'getCurrentTabDomain':
@@ -440,7 +3379,14 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
           break;
 
         case 'savePreset':
-          response = await savePreset(request.presetName, request.cookies);
+          response = await savePreset(request.presetName, request.cookies, {
+            domain: request.domain,
+            note: request.note
+          });
+          break;
+
+        case 'updatePresetNote':
+          response = await updatePresetNote(request.presetName, request.note);
           break;
 
         case 'loadPreset':
@@ -460,15 +3406,107 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
           break;
 
         case 'applyPreset':
-          response = await applyPreset(request.presetName, request.domain);
+          response = await applyPreset(request.presetName, request.domain, {
+            mode: request.mode,
+            placement: request.placement,
+            reloadTab: request.reloadTab,
+            storeId: request.storeId
+          });
+          break;
+
+        case 'getSwitchSnapshot':
+          response = await getSwitchSnapshot(request.domain, request.storeId);
+          break;
+
+        case 'undoSwitch':
+          response = await undoSwitch(request.domain, { reloadTab: request.reloadTab, storeId: request.storeId });
           break;
 
         case 'exportCookies':
-          response = await exportCookies(request.domain, request.encrypted);
+          response = await exportCookies(request.domain, {
+            format: request.format,
+            url: request.url,
+            encrypted: request.encrypted,
+            password: request.password,
+            selection: request.selection,
+            query: request.query,
+            storeId: request.storeId
+          });
+          break;
+
+        case 'auditCookies':
+          response = await auditCookies(request.domain, { storeId: request.storeId });
+          break;
+
+        case 'getSavedFilters':
+          response = await getSavedFilters();
+          break;
+
+        case 'saveFilter':
+          response = await saveFilter(request.name, request.query);
+          break;
+
+        case 'deleteSavedFilter':
+          response = await deleteSavedFilter(request.name);
+          break;
+
+        case 'batchDeleteCookies':
+          response = await batchDeleteCookies(request.cookies);
+          break;
+
+        case 'batchUpdateCookies':
+          response = await batchUpdateCookies(request.cookies, request.changes);
+          break;
+
+        case 'copyCookiesToStore':
+          response = await copyCookiesToStore(request.cookies, request.storeId);
+          break;
+
+        case 'previewImport':
+          response = await previewImport(request.jsonData, {
+            format: request.format,
+            encrypted: request.encrypted,
+            password: request.password,
+            storeId: request.storeId
+          });
           break;
 
         case 'importCookies':
-          response = await importCookies(request.jsonData, request.encrypted);
+          response = await importCookies(request.jsonData, {
+            format: request.format,
+            encrypted: request.encrypted,
+            password: request.password,
+            selected: request.selected,
+            storeId: request.storeId
+          });
+          break;
+
+        case 'getVaultStatus':
+          response = await getVaultStatusAction();
+          break;
+
+        case 'unlockVault':
+          response = await unlockVaultAction(request.passphrase);
+          break;
+
+        case 'lockVault':
+          response = await lockVaultAction();
+          break;
+
+        case 'enablePassphrase':
+          response = await enablePassphraseAction(request.passphrase);
+          break;
+
+        case 'disablePassphrase':
+          response = await disablePassphraseAction(request.passphrase);
+          break;
+
+        case 'setAutoLock':
+          response = await setAutoLockAction(request.minutes);
+          break;
+
+        case 'rotateMasterKey':
+          response = await rotateMasterKey(request.passphrase);
           break;
 
         default:
@@ -484,6 +3522,26 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   return true;
 });
 
+/**
+ * Log every cookie change for the activity view
+ */
+chrome.cookies.onChanged.addListener(recordCookieActivity);
+
+/**
+ * Restore protected cookies when something else changes or removes them
+ */
+chrome.cookies.onChanged.addListener(handleProtectedCookieChange);
+
+/**
+ * Delete cookies that cleanup rules remove as soon as they are set
+ */
+chrome.cookies.onChanged.addListener(handleRuledCookieChange);
+
+/**
+ * Run delete-on-tab-close rules when tabs close
+ */
+chrome.tabs.onRemoved.addListener(scheduleTabCloseCleanup);
+
 /**
  * Handle extension installation and updates
  */
@@ -493,4 +3551,79 @@ chrome.runtime.onInstalled.addListener((details) => {
   } else if (details.reason === 'update') {
     console.log('Cooklix updated to version', chrome.runtime.getManifest().version);
   }
+
+  // Updates can drop alarms, so schedule triggers are re-armed from storage
+  syncAllTriggerAlarms().catch((error) => {
+    console.warn('Failed to restore trigger alarms:', error.message);
+  });
+});
+
+/**
+ * Enforce the vault auto-lock timeout and run scheduled triggers
+ */
+chrome.alarms.onAlarm.addListener(async (alarm) => {
+  try {
+    if (alarm.name === VAULT_ALARM) {
+      await enforceVaultAutoLock();
+      await scheduleVaultAutoLock();
+    } else if (alarm.name.startsWith(TRIGGER_ALARM_PREFIX)) {
+      await runScheduledTrigger(alarm.name);
+    }
+  } catch (error) {
+    console.warn(`Failed to handle alarm ${alarm.name}:`, error.message);
+  }
+});
+
+/**
+ * Apply startup-triggered presets and restore trigger alarms when the browser starts
+ */
+chrome.runtime.onStartup.addListener(async () => {
+  queueProfileRebind({ startup: true });
+  try {
+    await syncAllTriggerAlarms();
+    await runStartupTriggers();
+  } catch (error) {
+    console.warn('Failed to run startup triggers:', error.message);
+  }
+});
+
+/**
+ * Find bound tab groups again when they are restored, created, renamed or closed
+ */
+chrome.tabGroups.onCreated.addListener(() => queueProfileRebind());
+chrome.tabGroups.onUpdated.addListener(() => queueProfileRebind());
+chrome.tabGroups.onRemoved.addListener(() => queueProfileRebind());
+
+/**
+ * Apply navigation-triggered presets when a tab moves to a matching site
+ */
+chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+  if (changeInfo.url && !tab.incognito) {
+    runNavigationTriggers(tabId, changeInfo.url).catch((error) => {
+      console.warn('Failed to run navigation triggers:', error.message);
+    });
+  }
+
+  // A focused tab that moves onto a profile's site needs that profile's cookies too
+  if (changeInfo.url && tab.active) {
+    queueProfileSwap(tab);
+  }
+});
+
+/**
+ * Swap profiles when a tab in a bound group or window gains focus
+ */
+chrome.tabs.onActivated.addListener(async ({ tabId }) => {
+  const tab = await chrome.tabs.get(tabId).catch(() => null);
+  queueProfileSwap(tab);
+});
+
+/**
+ * Swap profiles when a window bound to one (or holding a bound group) gains focus
+ */
+chrome.windows.onFocusChanged.addListener(async (windowId) => {
+  if (windowId === chrome.windows.WINDOW_ID_NONE) return;
+
+  const [tab] = await chrome.tabs.query({ active: true, windowId });
+  queueProfileSwap(tab);
 });
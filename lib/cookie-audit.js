@@ -0,0 +1,212 @@
+/**
+ * Cookie security audit for Cooklix
+ * Scores cookies against common hardening advice (Secure, HttpOnly, SameSite,
+ * name prefixes, domain scope, lifetime and size) and renders the result as a report.
+ * Relies on normalizeDomain() from domain-utils.js.
+ */
+
+const AUDIT_SEVERITY_WEIGHTS = { high: 30, medium: 15, low: 5 };
+
+// Names that usually carry a login session or credential
+const SESSION_NAME_PATTERN = /sess|sid$|^sid|auth|token|jwt|login|remember|account|user_?id|identity/i;
+// CSRF tokens look like credentials but must stay readable by scripts
+const CSRF_NAME_PATTERN = /csrf|xsrf/i;
+const JWT_VALUE_PATTERN = /^eyJ[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]*$/;
+
+const DAY_SECONDS = 24 * 60 * 60;
+// Chrome caps cookie lifetimes at 400 days
+const MAX_LIFETIME_DAYS = 400;
+const MAX_SESSION_LIFETIME_DAYS = 30;
+// Browsers only guarantee 4096 bytes for name and value together
+const MAX_COOKIE_SIZE = 4096;
+const LARGE_COOKIE_SIZE = 1024;
+
+/**
+ * Guesses whether a cookie holds a login session or credential
+ * @param {Object} cookie - Chrome cookie object
+ * @returns {boolean} True for session-looking cookies
+ */
+function looksLikeSessionCookie(cookie) {
+  return SESSION_NAME_PATTERN.test(cookie.name) || JWT_VALUE_PATTERN.test(cookie.value || '');
+}
+
+/**
+ * Lists the audit findings for one cookie
+ * @param {Object} cookie - Chrome cookie object
+ * @param {string} site - Host the audit was run for
+ * @param {number} [now] - Current time in seconds; defaults to now
+ * @returns {Array<Object>} { id, severity, message, fix }
+ */
+function auditCookie(cookie, site, now = Date.now() / 1000) {
+  const findings = [];
+  const add = (id, severity, message, fix) => findings.push({ id, severity, message, fix });
+  const name = cookie.name || '';
+  const isSession = looksLikeSessionCookie(cookie);
+  const isCsrf = CSRF_NAME_PATTERN.test(name);
+
+  if (isSession && !isCsrf && !cookie.secure) {
+    add('session-not-secure', 'high', 'Looks like a session cookie but is sent over plain http',
+      'Set the Secure attribute');
+  }
+
+  if (isSession && !isCsrf && !cookie.httpOnly) {
+    add('session-not-httponly', 'medium', 'Looks like a session cookie but scripts can read it',
+      'Set the HttpOnly attribute');
+  }
+
+  if (cookie.sameSite === 'no_restriction' && !cookie.secure) {
+    add('samesite-none-insecure', 'high', 'SameSite=None without Secure; browsers reject or downgrade it',
+      'Set Secure, or use SameSite=Lax');
+  }
+
+  if (isSession && (!cookie.sameSite || cookie.sameSite === 'unspecified')) {
+    add('samesite-unspecified', 'low', 'No SameSite attribute; protection depends on the browser default',
+      'Set SameSite=Lax or Strict explicitly');
+  }
+
+  if (name.startsWith('__Secure-') && !cookie.secure) {
+    add('secure-prefix', 'high', '__Secure- prefix without the Secure attribute', 'Set the Secure attribute');
+  }
+
+  if (name.startsWith('__Host-') && (!cookie.secure || !cookie.hostOnly || (cookie.path || '/') !== '/')) {
+    add('host-prefix', 'high', '__Host- prefix requires Secure, no Domain attribute and Path=/',
+      'Drop the Domain attribute, set Secure and Path=/');
+  }
+
+  if (!cookie.hostOnly) {
+    const scope = normalizeDomain(cookie.domain);
+    const host = normalizeDomain(site);
+    const broader = host.endsWith('.' + scope) ? `, not just ${host}` : '';
+    add('broad-domain', isSession ? 'medium' : 'low', `Sent to every subdomain of ${scope}${broader}`,
+      'Omit the Domain attribute unless subdomains need the cookie');
+  }
+
+  if (!cookie.session && cookie.expirationDate) {
+    const days = Math.round((cookie.expirationDate - now) / DAY_SECONDS);
+    if (days > MAX_LIFETIME_DAYS) {
+      add('long-lifetime', 'low', `Expires in ${days} days; Chrome caps lifetimes at ${MAX_LIFETIME_DAYS}`,
+        `Use an expiry of at most ${MAX_LIFETIME_DAYS} days`);
+    } else if (isSession && days > MAX_SESSION_LIFETIME_DAYS) {
+      add('long-lifetime', 'medium', `Session-looking cookie lives for ${days} days`,
+        `Keep login sessions under ${MAX_SESSION_LIFETIME_DAYS} days or rotate them`);
+    }
+  }
+
+  const size = name.length + (cookie.value || '').length;
+  if (size > MAX_COOKIE_SIZE) {
+    add('oversized-value', 'high', `${size} bytes; browsers may drop cookies over ${MAX_COOKIE_SIZE} bytes`,
+      'Store the data server-side and keep a reference in the cookie');
+  } else if (size > LARGE_COOKIE_SIZE) {
+    add('oversized-value', 'low', `${size} bytes, sent with every request to the site`,
+      'Store the data server-side and keep a reference in the cookie');
+  }
+
+  return findings;
+}
+
+/**
+ * Turns a score into a letter grade
+ * @param {number} score - 0 to 100
+ * @returns {string} 'A' to 'F'
+ */
+function auditGrade(score) {
+  if (score >= 90) return 'A';
+  if (score >= 80) return 'B';
+  if (score >= 65) return 'C';
+  if (score >= 50) return 'D';
+  return 'F';
+}
+
+/**
+ * Audits a site's cookies
+ * Cookie values are never copied into the report, so it can be shared
+ * @param {Array} cookies - Chrome cookie objects
+ * @param {string} site - Host the cookies were read for
+ * @param {Object} [options] - Report options
+ * @param {string} [options.storeId] - Cookie store the cookies came from
+ * @param {number} [options.now] - Current time in seconds; defaults to now
+ * @returns {Object} { site, storeId, generatedAt, score, grade, counts, cookies } with
+ *   cookies sorted worst first, each { name, domain, path, hostOnly, partitionSite, score, findings }
+ */
+function buildAuditReport(cookies, site, { storeId, now = Date.now() / 1000 } = {}) {
+  const counts = { high: 0, medium: 0, low: 0 };
+
+  const audited = cookies.map(cookie => {
+    const findings = auditCookie(cookie, site, now);
+    findings.forEach(finding => counts[finding.severity]++);
+
+    const penalty = findings.reduce((sum, finding) => sum + AUDIT_SEVERITY_WEIGHTS[finding.severity], 0);
+    const entry = {
+      name: cookie.name,
+      domain: cookie.domain,
+      path: cookie.path || '/',
+      hostOnly: !!cookie.hostOnly,
+      score: Math.max(0, 100 - penalty),
+      findings
+    };
+
+    if (cookie.partitionKey) {
+      entry.partitionSite = cookie.partitionKey.topLevelSite;
+    }
+
+    return entry;
+  }).sort((a, b) => a.score - b.score || a.name.localeCompare(b.name));
+
+  const score = audited.length > 0
+    ? Math.round(audited.reduce((sum, entry) => sum + entry.score, 0) / audited.length)
+    : 100;
+
+  return {
+    site,
+    storeId: storeId || '0',
+    generatedAt: new Date(now * 1000).toISOString(),
+    score,
+    grade: auditGrade(score),
+    counts,
+    cookies: audited
+  };
+}
+
+/**
+ * Renders an audit report as Markdown
+ * @param {Object} report - Result of buildAuditReport()
+ * @returns {string} Markdown document
+ */
+function toAuditMarkdown(report) {
+  const escape = text => String(text).replace(/([|\\`*_])/g, '\\$1');
+  const lines = [
+    `# Cookie audit: ${report.site}`,
+    '',
+    `Generated ${report.generatedAt}. Score **${report.score}/100 (${report.grade})** across ` +
+      `${report.cookies.length} cookie${report.cookies.length === 1 ? '' : 's'}: ` +
+      `${report.counts.high} high, ${report.counts.medium} medium, ${report.counts.low} low.`,
+    ''
+  ];
+
+  const flagged = report.cookies.filter(entry => entry.findings.length > 0);
+  if (flagged.length > 0) {
+    lines.push('| Cookie | Score | Severity | Finding | Fix |', '|---|---|---|---|---|');
+    flagged.forEach(entry => {
+      const label = escape(`${entry.name} @ ${entry.domain}${entry.path}`);
+      entry.findings.forEach(finding => {
+        lines.push(`| ${label} | ${entry.score} | ${finding.severity} | ${escape(finding.message)} | ${escape(finding.fix)} |`);
+      });
+    });
+    lines.push('');
+  }
+
+  const clean = report.cookies.filter(entry => entry.findings.length === 0);
+  if (clean.length > 0) {
+    lines.push(`No findings: ${clean.map(entry => escape(entry.name)).join(', ')}`, '');
+  }
+
+  return lines.join('\n');
+}
+
+// Make functions available globally for importScripts compatibility
+if (typeof self !== 'undefined') {
+  self.looksLikeSessionCookie = looksLikeSessionCookie;
+  self.auditCookie = auditCookie;
+  self.buildAuditReport = buildAuditReport;
+  self.toAuditMarkdown = toAuditMarkdown;
+}
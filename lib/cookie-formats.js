@@ -0,0 +1,458 @@
+/**
+ * Cookie serialization formats for Cooklix
+ * Converts between Chrome's cookie objects and other tools' formats
+ */
+
+const NETSCAPE_HEADER = '# Netscape HTTP Cookie File';
+const NETSCAPE_HTTPONLY_PREFIX = '#HttpOnly_';
+
+/**
+ * Guesses the format of pasted cookie data
+ * @param {string} text - Raw import data
+ * @returns {string} 'json' or 'netscape'
+ */
+function detectCookieFormat(text) {
+  const trimmed = String(text || '').trim();
+
+  if (trimmed.startsWith('[') || trimmed.startsWith('{')) {
+    return 'json';
+  }
+
+  const looksLikeNetscape = trimmed.startsWith('# Netscape') ||
+    trimmed.startsWith('# HTTP Cookie File') ||
+    trimmed.split(/\r?\n/).some(line => line.split('\t').length >= 6);
+
+  return looksLikeNetscape ? 'netscape' : 'json';
+}
+
+// ==================== JSON Dialects ====================
+
+const SOURCE_LABELS = {
+  chrome: 'Chrome / Cookie-Editor',
+  editthiscookie: 'EditThisCookie',
+  playwright: 'Playwright storageState',
+  puppeteer: 'Puppeteer',
+  netscape: 'Netscape cookies.txt'
+};
+
+/**
+ * Maps the many spellings of SameSite used by other tools onto Chrome's values
+ * @param {*} value - Raw sameSite value
+ * @returns {string|null} 'no_restriction', 'lax', 'strict', 'unspecified', or null if unknown
+ */
+function normalizeSameSite(value) {
+  if (value === undefined || value === null || value === '') {
+    return 'unspecified';
+  }
+
+  switch (String(value).toLowerCase()) {
+    case 'none':
+    case 'no_restriction':
+      return 'no_restriction';
+    case 'lax':
+      return 'lax';
+    case 'strict':
+      return 'strict';
+    case 'unspecified':
+      return 'unspecified';
+    default:
+      return null;
+  }
+}
+
+/**
+ * Maps the partition keys of CHIPS (partitioned) cookies onto Chrome's shape
+ * Chrome exports { topLevelSite, hasCrossSiteAncestor }; Playwright uses the
+ * top-level site as a string and Puppeteer uses { sourceOrigin } or a string
+ * @param {*} value - Raw partitionKey value
+ * @returns {Object|null} { topLevelSite[, hasCrossSiteAncestor] }, or null if the cookie isn't partitioned
+ */
+function normalizePartitionKey(value) {
+  if (!value) return null;
+
+  const site = typeof value === 'string' ? value : value.topLevelSite || value.sourceOrigin;
+  if (!site) return null;
+
+  const partitionKey = { topLevelSite: String(site).replace(/\/+$/, '') };
+  if (typeof value === 'object' && typeof value.hasCrossSiteAncestor === 'boolean') {
+    partitionKey.hasCrossSiteAncestor = value.hasCrossSiteAncestor;
+  }
+
+  return partitionKey;
+}
+
+/**
+ * Finds the cookie array inside parsed JSON and names the tool that produced it
+ * @param {*} parsed - Parsed JSON
+ * @returns {Object} { cookies, source }
+ * @throws {Error} If no cookie array can be found
+ */
+function extractCookieArray(parsed) {
+  if (parsed && !Array.isArray(parsed) && Array.isArray(parsed.cookies)) {
+    return { cookies: parsed.cookies, source: 'playwright' };
+  }
+
+  if (!Array.isArray(parsed)) {
+    throw new Error('Invalid cookie data: expected an array or a storageState object');
+  }
+
+  const sample = parsed.find(item => item && typeof item === 'object') || {};
+  let source = 'chrome';
+
+  if ('expires' in sample && 'size' in sample) {
+    source = 'puppeteer';
+  } else if ('expires' in sample && !('expirationDate' in sample)) {
+    source = 'playwright';
+  } else if (typeof sample.id === 'number') {
+    source = 'editthiscookie';
+  }
+
+  return { cookies: parsed, source };
+}
+
+/**
+ * Converts a cookie from any supported tool into a Chrome cookie object
+ * @param {Object} raw - Cookie as exported by Chrome, EditThisCookie, Cookie-Editor,
+ *   Playwright or Puppeteer
+ * @param {Array} warnings - Receives a message for anything that had to be guessed
+ * @returns {Object} Chrome cookie object
+ */
+function normalizeImportedCookie(raw, warnings) {
+  let domain = raw.domain || '';
+  let hostOnly = raw.hostOnly;
+  let url;
+
+  // Playwright allows a url in place of domain/path; that always means host-only
+  if (!domain && raw.url) {
+    try {
+      domain = new URL(raw.url).hostname;
+      hostOnly = true;
+      url = raw.url;
+    } catch (error) {
+      warnings.push(`${raw.name}: invalid url "${raw.url}"`);
+    }
+  }
+
+  // Tools without a hostOnly flag mark domain cookies with a leading dot
+  if (typeof hostOnly !== 'boolean') {
+    hostOnly = !domain.startsWith('.');
+  }
+
+  const sameSite = normalizeSameSite(raw.sameSite);
+  if (sameSite === null) {
+    warnings.push(`${raw.name}: unknown sameSite "${raw.sameSite}", using unspecified`);
+  }
+
+  let expirationDate = raw.expirationDate;
+  if (expirationDate === undefined && raw.expires !== undefined) {
+    expirationDate = typeof raw.expires === 'string' ? Date.parse(raw.expires) / 1000 : raw.expires;
+  }
+
+  // Playwright and Puppeteer use -1 for session cookies
+  const hasExpiry = typeof expirationDate === 'number' && Number.isFinite(expirationDate) && expirationDate > 0;
+
+  const cookie = {
+    domain,
+    hostOnly,
+    httpOnly: !!raw.httpOnly,
+    name: raw.name === undefined || raw.name === null ? '' : String(raw.name),
+    path: raw.path || '/',
+    sameSite: sameSite || 'unspecified',
+    secure: !!raw.secure,
+    session: raw.session === true || !hasExpiry,
+    value: raw.value === undefined || raw.value === null ? '' : String(raw.value)
+  };
+
+  if (hasExpiry && !cookie.session) {
+    cookie.expirationDate = expirationDate;
+  }
+
+  const partitionKey = normalizePartitionKey(raw.partitionKey);
+  if (partitionKey) {
+    cookie.partitionKey = partitionKey;
+  }
+
+  // Kept so the cookie is written to the same origin it came from
+  if (url) {
+    cookie.url = url;
+  }
+
+  return cookie;
+}
+
+/**
+ * Parses JSON cookie data from any supported tool into Chrome cookie objects
+ * @param {*} parsed - Parsed JSON
+ * @returns {Object} { cookies, source, warnings }
+ */
+function normalizeImportedCookies(parsed) {
+  const { cookies, source } = extractCookieArray(parsed);
+  const warnings = [];
+
+  const normalized = cookies.map(raw => {
+    if (!raw || typeof raw !== 'object') {
+      throw new Error('Invalid cookie data: every entry must be an object');
+    }
+    return normalizeImportedCookie(raw, warnings);
+  });
+
+  return { cookies: normalized, source, warnings };
+}
+
+/**
+ * Converts a Chrome cookie to the shape Playwright and Puppeteer share
+ * @param {Object} cookie - Chrome cookie object
+ * @returns {Object} Automation-tool cookie
+ * @private
+ */
+function toAutomationCookie(cookie) {
+  const bareDomain = cookie.domain.startsWith('.') ? cookie.domain.substring(1) : cookie.domain;
+
+  const automationCookie = {
+    name: cookie.name,
+    value: cookie.value,
+    domain: cookie.hostOnly ? bareDomain : '.' + bareDomain,
+    path: cookie.path || '/',
+    expires: cookie.session || !cookie.expirationDate ? -1 : cookie.expirationDate,
+    httpOnly: !!cookie.httpOnly,
+    secure: !!cookie.secure,
+    // Both tools require one of the three; Chrome treats unspecified as Lax
+    sameSite: { strict: 'Strict', no_restriction: 'None' }[cookie.sameSite] || 'Lax'
+  };
+
+  // Both tools take the top-level site of a partitioned cookie as a string
+  if (cookie.partitionKey && cookie.partitionKey.topLevelSite) {
+    automationCookie.partitionKey = cookie.partitionKey.topLevelSite;
+  }
+
+  return automationCookie;
+}
+
+/**
+ * Builds a Playwright storageState document (browserContext.storageState())
+ * @param {Array} cookies - Chrome cookie objects
+ * @returns {Object} { cookies, origins }
+ */
+function toPlaywrightStorageState(cookies) {
+  return { cookies: cookies.map(toAutomationCookie), origins: [] };
+}
+
+/**
+ * Builds a cookie array for Puppeteer's page.setCookie(...cookies)
+ * @param {Array} cookies - Chrome cookie objects
+ * @returns {Array} Puppeteer cookie objects
+ */
+function toPuppeteerCookies(cookies) {
+  return cookies.map(toAutomationCookie);
+}
+
+// ==================== Netscape cookies.txt ====================
+
+/**
+ * Serializes cookies to the Netscape cookies.txt format used by curl, wget,
+ * yt-dlp and Python's http.cookiejar
+ * @param {Array} cookies - Chrome cookie objects
+ * @returns {string} cookies.txt contents
+ */
+function toNetscapeCookiesTxt(cookies) {
+  const lines = [
+    NETSCAPE_HEADER,
+    '# Exported by Cooklix. Edit at your own risk.',
+    ''
+  ];
+
+  for (const cookie of cookies) {
+    const bareDomain = cookie.domain.startsWith('.') ? cookie.domain.substring(1) : cookie.domain;
+    const includeSubdomains = !cookie.hostOnly;
+    const domain = includeSubdomains ? '.' + bareDomain : bareDomain;
+    const expires = cookie.session || !cookie.expirationDate ? 0 : Math.floor(cookie.expirationDate);
+
+    lines.push([
+      (cookie.httpOnly ? NETSCAPE_HTTPONLY_PREFIX : '') + domain,
+      includeSubdomains ? 'TRUE' : 'FALSE',
+      cookie.path || '/',
+      cookie.secure ? 'TRUE' : 'FALSE',
+      expires,
+      cookie.name,
+      cookie.value
+    ].join('\t'));
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Parses Netscape cookies.txt contents into Chrome cookie objects
+ * @param {string} text - cookies.txt contents
+ * @returns {Array} Chrome cookie objects
+ * @throws {Error} If a line is malformed
+ */
+function parseNetscapeCookiesTxt(text) {
+  const cookies = [];
+  const lines = String(text).split(/\r?\n/);
+
+  lines.forEach((rawLine, index) => {
+    // Only line breaks are stripped; spaces at the end belong to the value
+    let line = rawLine.replace(/[\r\n]/g, '');
+    let httpOnly = false;
+
+    if (line.startsWith(NETSCAPE_HTTPONLY_PREFIX)) {
+      httpOnly = true;
+      line = line.substring(NETSCAPE_HTTPONLY_PREFIX.length);
+    } else if (!line.trim() || line.trimStart().startsWith('#')) {
+      return;
+    }
+
+    const fields = line.split('\t');
+
+    // An empty value ends the line with a tab; editors that strip trailing whitespace drop it
+    if (fields.length === 6) {
+      fields.push('');
+    }
+
+    if (fields.length < 7) {
+      throw new Error(`Invalid cookies.txt line ${index + 1}: expected 7 tab-separated fields`);
+    }
+
+    const [domainField, includeSubdomainsField, path, secureField, expiresField, name] =
+      fields.slice(0, 6).map(field => field.trim());
+    const valueParts = fields.slice(6);
+    const expires = Number(expiresField);
+
+    if (!domainField || !Number.isFinite(expires)) {
+      throw new Error(`Invalid cookies.txt line ${index + 1}`);
+    }
+
+    const includeSubdomains = includeSubdomainsField.toUpperCase() === 'TRUE';
+    const bareDomain = domainField.startsWith('.') ? domainField.substring(1) : domainField;
+
+    const cookie = {
+      domain: includeSubdomains ? '.' + bareDomain : bareDomain,
+      hostOnly: !includeSubdomains,
+      httpOnly,
+      name,
+      path: path || '/',
+      secure: secureField.toUpperCase() === 'TRUE',
+      session: expires === 0,
+      value: valueParts.join('\t')
+    };
+
+    if (expires > 0) {
+      cookie.expirationDate = expires;
+    }
+
+    cookies.push(cookie);
+  });
+
+  return cookies;
+}
+
+// ==================== Request Formats ====================
+
+/**
+ * Checks whether a top-level request to the URL sees a cookie's partition
+ * Partitioned (CHIPS) cookies keyed to another site are only sent inside embeds on that site
+ * @param {Object} cookie - Chrome cookie object
+ * @param {string} url - Request URL
+ * @returns {boolean} True for unpartitioned cookies and cookies partitioned under the URL's site
+ * @private
+ */
+function inTopLevelPartition(cookie, url) {
+  if (!cookie.partitionKey) return true;
+
+  try {
+    return domainsRelated(new URL(cookie.partitionKey.topLevelSite).hostname, new URL(url).hostname);
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Picks the cookies a request to the URL would carry, in the order browsers send them
+ * (longer paths first). Relies on cookieMatchesUrl() from domain-utils.js.
+ * @param {Array} cookies - Chrome cookie objects
+ * @param {string} url - Request URL
+ * @returns {Array} Matching cookies
+ */
+function cookiesForUrl(cookies, url) {
+  return cookies
+    .filter(cookie => cookieMatchesUrl(cookie, url) && inTopLevelPartition(cookie, url))
+    .sort((a, b) => (b.path || '/').length - (a.path || '/').length);
+}
+
+/**
+ * Builds a raw Cookie request header for a URL
+ * @param {Array} cookies - Chrome cookie objects
+ * @param {string} url - Request URL
+ * @returns {string} Header line, e.g. "Cookie: a=b; c=d"
+ */
+function toCookieHeader(cookies, url) {
+  const pairs = cookiesForUrl(cookies, url).map(cookie => `${cookie.name}=${cookie.value}`);
+  return `Cookie: ${pairs.join('; ')}`;
+}
+
+/**
+ * Quotes a string for POSIX shells
+ * @param {string} value - Raw string
+ * @returns {string} Single-quoted string
+ */
+function shellQuote(value) {
+  return `'${String(value).replace(/'/g, `'\\''`)}'`;
+}
+
+/**
+ * Builds a ready-to-paste curl command that sends the URL's cookies
+ * @param {Array} cookies - Chrome cookie objects
+ * @param {string} url - Request URL
+ * @returns {string} curl command
+ */
+function toCurlCommand(cookies, url) {
+  const pairs = cookiesForUrl(cookies, url).map(cookie => `${cookie.name}=${cookie.value}`);
+  return `curl ${shellQuote(url)} -b ${shellQuote(pairs.join('; '))}`;
+}
+
+/**
+ * Converts cookies to a HAR 1.2 "cookies" array
+ * @param {Array} cookies - Chrome cookie objects
+ * @returns {Array} HAR cookie objects
+ */
+function toHarCookies(cookies) {
+  return cookies.map(cookie => {
+    const harCookie = {
+      name: cookie.name,
+      value: cookie.value,
+      path: cookie.path || '/',
+      domain: cookie.domain,
+      httpOnly: !!cookie.httpOnly,
+      secure: !!cookie.secure
+    };
+
+    if (cookie.expirationDate && !cookie.session) {
+      harCookie.expires = new Date(cookie.expirationDate * 1000).toISOString();
+    }
+
+    // Chrome DevTools includes sameSite in its HAR exports
+    const sameSite = { lax: 'Lax', strict: 'Strict', no_restriction: 'None' }[cookie.sameSite];
+    if (sameSite) {
+      harCookie.sameSite = sameSite;
+    }
+
+    return harCookie;
+  });
+}
+
+// Make functions available globally for importScripts compatibility
+if (typeof self !== 'undefined') {
+  self.detectCookieFormat = detectCookieFormat;
+  self.SOURCE_LABELS = SOURCE_LABELS;
+  self.normalizeSameSite = normalizeSameSite;
+  self.normalizePartitionKey = normalizePartitionKey;
+  self.normalizeImportedCookies = normalizeImportedCookies;
+  self.toPlaywrightStorageState = toPlaywrightStorageState;
+  self.toPuppeteerCookies = toPuppeteerCookies;
+  self.toNetscapeCookiesTxt = toNetscapeCookiesTxt;
+  self.parseNetscapeCookiesTxt = parseNetscapeCookiesTxt;
+  self.toCookieHeader = toCookieHeader;
+  self.toCurlCommand = toCurlCommand;
+  self.toHarCookies = toHarCookies;
+}
@@ -0,0 +1,283 @@
+/**
+ * Cookie search queries for Cooklix
+ * Parses queries like `domain:*.example.com secure:false expires:<7d name:/^_ga/ size:>1kb sort:-size`
+ * and filters and sorts cookies with them, so the same query drives the cookie list,
+ * bulk selections and exports. Words without a field search names and values.
+ * Relies on normalizeDomain() from domain-utils.js and domainGlobToRegExp() from cookie-rules.js.
+ */
+
+const QUERY_TEXT_FIELDS = ['name', 'value', 'domain', 'path'];
+const QUERY_FLAG_FIELDS = {
+  secure: cookie => !!cookie.secure,
+  httponly: cookie => !!cookie.httpOnly,
+  hostonly: cookie => !!cookie.hostOnly,
+  session: cookie => !!cookie.session || !cookie.expirationDate,
+  partitioned: cookie => !!cookie.partitionKey
+};
+const QUERY_SAME_SITE_VALUES = { lax: 'lax', strict: 'strict', none: 'no_restriction', unspecified: 'unspecified' };
+const QUERY_SORT_KEYS = ['name', 'domain', 'expires', 'size'];
+
+const DURATION_UNITS = { s: 1, m: 60, h: 3600, d: 86400, w: 7 * 86400, y: 365 * 86400 };
+const SIZE_UNITS = { b: 1, kb: 1024, mb: 1024 * 1024 };
+
+// [-]field:value, where value is "quoted", /regex/flags or a plain word
+const QUERY_TOKEN_PATTERN = /(-?)(?:([A-Za-z]+):)?("(?:[^"\\]|\\.)*"(?=\s|$)|\/(?:[^/\\]|\\.)+\/[dgimsuy]*(?=\s|$)|\S+)/g;
+// /regex/flags; other text starting with '/', like /api/users, is a plain word
+const QUERY_REGEX_PATTERN = /^\/((?:[^/\\]|\\.)+)\/([dgimsuy]*)$/s;
+
+const COMPARATORS = {
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b,
+  '>': (a, b) => a > b,
+  '>=': (a, b) => a >= b,
+  '=': (a, b) => a === b
+};
+
+/**
+ * Splits a comparison like '>=1kb' into operator and operand
+ * @param {string} text - Comparison text
+ * @returns {Object} { operator, operand }; operator defaults to '='
+ */
+function splitComparison(text) {
+  const match = text.match(/^(<=|>=|<|>|=)?(.*)$/);
+  return { operator: match[1] || '=', operand: match[2].trim() };
+}
+
+/**
+ * Builds a matcher for a name, value, domain or path term
+ * /regex/ tests the raw text, '*' globs match the whole text, and plain words
+ * match a substring (or, for domains, the exact domain)
+ * @param {string} field - Text field
+ * @param {string} text - Term value
+ * @param {boolean} isRegex - Whether the value was written as /regex/flags
+ * @returns {Function} (cookie) => boolean
+ * @throws {Error} If the regular expression is invalid
+ */
+function textMatcher(field, text, isRegex) {
+  const read = field === 'domain'
+    ? cookie => normalizeDomain(cookie.domain || '')
+    : cookie => String(cookie[field] || (field === 'path' ? '/' : ''));
+
+  const regex = isRegex && text.match(QUERY_REGEX_PATTERN);
+  if (regex) {
+    const [, source, flags] = regex;
+    let pattern;
+    try {
+      pattern = new RegExp(source, flags);
+    } catch (error) {
+      throw new Error(`Invalid regular expression in ${field}: ${error.message}`);
+    }
+    return cookie => {
+      pattern.lastIndex = 0;
+      return pattern.test(read(cookie));
+    };
+  }
+
+  if (text.includes('*')) {
+    const pattern = field === 'domain'
+      ? domainGlobToRegExp(text)
+      : new RegExp(`^${text.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*')}$`, 'i');
+    return cookie => pattern.test(read(cookie));
+  }
+
+  if (field === 'domain') {
+    const domain = normalizeDomain(text).toLowerCase();
+    return cookie => read(cookie).toLowerCase() === domain;
+  }
+
+  const needle = text.toLowerCase();
+  return cookie => read(cookie).toLowerCase().includes(needle);
+}
+
+/**
+ * Builds a matcher for an expires: term
+ * @param {string} text - 'session', or a comparison with a duration from now
+ *   (s, m, h, d, w, y; days by default) or a date, e.g. '<7d' or '>=2026-01-01'
+ * @returns {Function} (cookie, now) => boolean; session cookies only match 'session'
+ * @throws {Error} If the term can't be read
+ */
+function expiresMatcher(text) {
+  if (text.toLowerCase() === 'session') {
+    return QUERY_FLAG_FIELDS.session;
+  }
+
+  const { operator, operand } = splitComparison(text);
+  if (operator === '=') {
+    throw new Error(`expires: needs <, <=, > or >= before "${operand}", or the word session`);
+  }
+
+  const duration = operand.toLowerCase().match(/^(\d+(?:\.\d+)?)([smhdwy]?)$/);
+  const date = duration ? NaN : Date.parse(operand);
+  if (!duration && Number.isNaN(date)) {
+    throw new Error(`expires: "${operand}" is not a duration like 7d or a date like 2026-01-31`);
+  }
+
+  const compare = COMPARATORS[operator];
+  return (cookie, now) => {
+    if (QUERY_FLAG_FIELDS.session(cookie)) return false;
+    const limit = duration
+      ? now + parseFloat(duration[1]) * DURATION_UNITS[duration[2] || 'd']
+      : date / 1000;
+    return compare(cookie.expirationDate, limit);
+  };
+}
+
+/**
+ * Size of a cookie as counted against the browser's 4096-byte limit
+ * @param {Object} cookie - Chrome cookie object
+ * @returns {number} Length of name and value together
+ */
+function cookieSize(cookie) {
+  return (cookie.name || '').length + (cookie.value || '').length;
+}
+
+/**
+ * Builds a matcher for a size: term
+ * @param {string} text - Comparison with bytes, kb or mb, e.g. '>1kb' or '<=512'
+ * @returns {Function} (cookie) => boolean
+ * @throws {Error} If the term can't be read
+ */
+function sizeMatcher(text) {
+  const { operator, operand } = splitComparison(text);
+  const size = operand.toLowerCase().match(/^(\d+(?:\.\d+)?)(b|kb|mb)?$/);
+  if (!size) {
+    throw new Error(`size: "${operand}" is not a size like 512, 1kb or 2mb`);
+  }
+
+  const limit = parseFloat(size[1]) * SIZE_UNITS[size[2] || 'b'];
+  const compare = COMPARATORS[operator];
+  return cookie => compare(cookieSize(cookie), limit);
+}
+
+/**
+ * Parses a search query
+ * Terms are separated by spaces and all have to match; a leading '-' negates a term.
+ * Text with an unknown field (e.g. 'https://...') is searched for as a plain word.
+ * @param {string} text - Query text
+ * @returns {Object} { terms: [{ field, negate, test }], sort: { key, descending } | null }
+ *   where test is (cookie, now) => boolean
+ * @throws {Error} If a term is invalid, e.g. a broken regular expression or an unknown sort key
+ */
+function parseCookieQuery(text) {
+  const query = { terms: [], sort: null };
+
+  for (const match of String(text || '').matchAll(QUERY_TOKEN_PATTERN)) {
+    const negate = match[1] === '-';
+    let field = match[2] ? match[2].toLowerCase() : null;
+    let value = match[3];
+    const quoted = /^".*"$/s.test(value);
+
+    if (quoted) {
+      value = value.slice(1, -1).replace(/\\(.)/g, '$1');
+    }
+
+    const known = field && (QUERY_TEXT_FIELDS.includes(field) || field in QUERY_FLAG_FIELDS ||
+      ['samesite', 'expires', 'size', 'sort'].includes(field));
+    if (field && !known) {
+      value = `${match[2]}:${value}`;
+      field = null;
+    }
+
+    const isRegex = !quoted && QUERY_REGEX_PATTERN.test(value);
+
+    let test;
+    if (!field) {
+      // Plain words search names and values, like the original search box
+      const name = textMatcher('name', value, isRegex);
+      const cookieValue = textMatcher('value', value, isRegex);
+      test = cookie => name(cookie) || cookieValue(cookie);
+    } else if (QUERY_TEXT_FIELDS.includes(field)) {
+      test = textMatcher(field, value, isRegex);
+    } else if (field in QUERY_FLAG_FIELDS) {
+      const wanted = { true: true, yes: true, 1: true, false: false, no: false, 0: false }[value.toLowerCase()];
+      if (wanted === undefined) {
+        throw new Error(`${field}: expects true or false, not "${value}"`);
+      }
+      test = cookie => QUERY_FLAG_FIELDS[field](cookie) === wanted;
+    } else if (field === 'samesite') {
+      const wanted = QUERY_SAME_SITE_VALUES[value.toLowerCase()];
+      if (!wanted) {
+        throw new Error(`samesite: expects lax, strict, none or unspecified, not "${value}"`);
+      }
+      test = cookie => (cookie.sameSite || 'unspecified') === wanted;
+    } else if (field === 'expires') {
+      test = expiresMatcher(value);
+    } else if (field === 'size') {
+      test = sizeMatcher(value);
+    } else {
+      // sort:size sorts ascending, sort:-size (or -sort:size) descending
+      const key = value.replace(/^-/, '').toLowerCase();
+      if (!QUERY_SORT_KEYS.includes(key)) {
+        throw new Error(`sort: expects ${QUERY_SORT_KEYS.join(', ')}, not "${value}"`);
+      }
+      query.sort = { key, descending: negate || value.startsWith('-') };
+      continue;
+    }
+
+    query.terms.push({ field: field || 'text', negate, test });
+  }
+
+  return query;
+}
+
+/**
+ * Checks a cookie against a parsed query
+ * @param {Object} query - Result of parseCookieQuery()
+ * @param {Object} cookie - Chrome cookie object
+ * @param {number} [now] - Current time in seconds; defaults to now
+ * @returns {boolean} True if every term matches
+ */
+function matchesCookieQuery(query, cookie, now = Date.now() / 1000) {
+  return query.terms.every(term => term.test(cookie, now) !== term.negate);
+}
+
+/**
+ * Sorts cookies; ties are broken by name, then domain
+ * @param {Array} cookies - Chrome cookie objects
+ * @param {Object} [sort] - { key: 'name' | 'domain' | 'expires' | 'size', descending }
+ * @returns {Array} Sorted copy; the original order if no sort is given
+ */
+function sortCookies(cookies, sort) {
+  if (!sort) return [...cookies];
+
+  // Session cookies have no expiry date; they sort as the latest
+  const keyOf = {
+    name: cookie => cookie.name,
+    domain: cookie => normalizeDomain(cookie.domain || ''),
+    expires: cookie => (QUERY_FLAG_FIELDS.session(cookie) ? Infinity : cookie.expirationDate),
+    size: cookieSize
+  }[sort.key];
+
+  const compare = (a, b) => {
+    const left = keyOf(a);
+    const right = keyOf(b);
+    if (typeof left === 'string') return left.localeCompare(right);
+    return left === right ? 0 : (left < right ? -1 : 1);
+  };
+
+  return [...cookies].sort((a, b) =>
+    (sort.descending ? -compare(a, b) : compare(a, b)) ||
+    a.name.localeCompare(b.name) ||
+    normalizeDomain(a.domain || '').localeCompare(normalizeDomain(b.domain || '')));
+}
+
+/**
+ * Filters and sorts cookies with a query
+ * @param {Array} cookies - Chrome cookie objects
+ * @param {string} text - Query text; empty keeps every cookie
+ * @param {number} [now] - Current time in seconds; defaults to now
+ * @returns {Array} Matching cookies, sorted if the query has a sort: term
+ * @throws {Error} If the query is invalid
+ */
+function filterCookiesByQuery(cookies, text, now = Date.now() / 1000) {
+  const query = parseCookieQuery(text);
+  return sortCookies(cookies.filter(cookie => matchesCookieQuery(query, cookie, now)), query.sort);
+}
+
+// Make functions available globally for importScripts compatibility
+if (typeof self !== 'undefined') {
+  self.parseCookieQuery = parseCookieQuery;
+  self.matchesCookieQuery = matchesCookieQuery;
+  self.sortCookies = sortCookies;
+  self.filterCookiesByQuery = filterCookiesByQuery;
+}
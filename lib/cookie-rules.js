@@ -0,0 +1,126 @@
+/**
+ * Cookie cleanup rule matching for Cooklix
+ * Rules pick cookies by domain glob, name regex and third-party status, and say
+ * whether matching cookies are deleted as soon as they are set, deleted when
+ * their tabs close, or always left alone
+ */
+
+const RULE_ACTIONS = ['allow', 'deleteOnSet', 'deleteOnTabClose'];
+const RULE_PARTIES = ['any', 'first', 'third'];
+
+/**
+ * Converts a domain glob to a regular expression
+ * '*' matches any run of characters; a leading '*.' also matches the bare domain,
+ * so '*.example.com' covers example.com and all of its subdomains
+ * @param {string} glob - Domain glob, e.g. '*.doubleclick.net'
+ * @returns {RegExp} Case-insensitive, anchored expression
+ */
+function domainGlobToRegExp(glob) {
+  const pattern = normalizeDomain(glob) || '*';
+  const escape = text => text.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+
+  if (pattern.startsWith('*.')) {
+    return new RegExp(`^(?:.*\\.)?${escape(pattern.substring(2))}$`, 'i');
+  }
+
+  return new RegExp(`^${escape(pattern)}$`, 'i');
+}
+
+/**
+ * Checks a rule for mistakes and fills in defaults
+ * @param {Object} rule - Rule as entered by the user
+ * @returns {Object} Normalized rule
+ * @throws {Error} If the action, party or name pattern is invalid
+ */
+function normalizeCookieRule(rule) {
+  const normalized = {
+    domainPattern: String(rule.domainPattern || '').trim() || '*',
+    namePattern: String(rule.namePattern || '').trim(),
+    party: rule.party || 'any',
+    action: rule.action,
+    enabled: rule.enabled !== false
+  };
+
+  if (!RULE_ACTIONS.includes(normalized.action)) {
+    throw new Error(`Unknown rule action: ${normalized.action}`);
+  }
+
+  if (!RULE_PARTIES.includes(normalized.party)) {
+    throw new Error(`Unknown third-party setting: ${normalized.party}`);
+  }
+
+  if (normalized.namePattern) {
+    try {
+      new RegExp(normalized.namePattern);
+    } catch (error) {
+      throw new Error(`Invalid name pattern: ${error.message}`);
+    }
+  }
+
+  if (normalized.domainPattern === '*' && !normalized.namePattern &&
+      normalized.party === 'any' && normalized.action === 'deleteOnSet') {
+    throw new Error('This rule would delete every cookie as soon as it is set');
+  }
+
+  return normalized;
+}
+
+/**
+ * Checks whether a cookie belongs to a site open in a tab
+ * Sites are approximated by a shared parent domain of at least two labels,
+ * which errs on the side of first-party for public suffixes like co.uk
+ * @param {Object} cookie - Chrome cookie object
+ * @param {Array<string>} tabHosts - Host names of the open tabs
+ * @returns {boolean} True if no open tab is on the cookie's site
+ */
+function isThirdPartyCookie(cookie, tabHosts) {
+  return !tabHosts.some(host =>
+    domainMatches(cookie.domain, host) || commonDomainSuffix([cookie.domain, host]).includes('.'));
+}
+
+/**
+ * Checks whether a rule applies to a cookie
+ * @param {Object} rule - Normalized rule
+ * @param {Object} cookie - Chrome cookie object
+ * @param {Array<string>} [tabHosts] - Open tab hosts; required for first/third-party rules
+ * @returns {boolean} True if the rule matches
+ */
+function cookieMatchesRule(rule, cookie, tabHosts = []) {
+  if (!rule.enabled) return false;
+
+  if (!domainGlobToRegExp(rule.domainPattern).test(normalizeDomain(cookie.domain))) {
+    return false;
+  }
+
+  if (rule.namePattern && !new RegExp(rule.namePattern).test(cookie.name)) {
+    return false;
+  }
+
+  if (rule.party !== 'any') {
+    return isThirdPartyCookie(cookie, tabHosts) === (rule.party === 'third');
+  }
+
+  return true;
+}
+
+/**
+ * Finds the rule that decides what happens to a cookie
+ * Allow rules win over delete rules; otherwise the first matching rule applies
+ * @param {Array<Object>} rules - Rules in the user's order
+ * @param {Object} cookie - Chrome cookie object
+ * @param {Array<string>} [tabHosts] - Open tab hosts
+ * @returns {Object|null} Deciding rule, or null if none matches
+ */
+function findCookieRule(rules, cookie, tabHosts = []) {
+  const matching = rules.filter(rule => cookieMatchesRule(rule, cookie, tabHosts));
+  return matching.find(rule => rule.action === 'allow') || matching[0] || null;
+}
+
+// Make functions available globally for importScripts compatibility
+if (typeof self !== 'undefined') {
+  self.domainGlobToRegExp = domainGlobToRegExp;
+  self.normalizeCookieRule = normalizeCookieRule;
+  self.isThirdPartyCookie = isThirdPartyCookie;
+  self.cookieMatchesRule = cookieMatchesRule;
+  self.findCookieRule = findCookieRule;
+}
@@ -0,0 +1,193 @@
+/**
+ * Cookie validation and comparison helpers for Cooklix
+ * Mirrors the checks Chrome applies in chrome.cookies.set so problems can be shown before writing
+ */
+
+// Chrome rejects control characters and ';' anywhere, and '=' in names
+const INVALID_NAME_PATTERN = /[\x00-\x1f\x7f;=]/;
+const INVALID_VALUE_PATTERN = /[\x00-\x1f\x7f;]/;
+
+const DIFF_FIELDS = ['value', 'secure', 'httpOnly', 'sameSite', 'expirationDate'];
+
+/**
+ * Lists the reasons Chrome would refuse to store a cookie
+ * @param {Object} cookie - Normalized Chrome cookie object (may carry a source url)
+ * @returns {Array<string>} Problems, empty if the cookie looks valid
+ */
+function getCookieProblems(cookie) {
+  const problems = [];
+  const name = cookie.name || '';
+
+  if (!cookie.domain) {
+    problems.push('Missing domain');
+  }
+
+  if (!name && !cookie.value) {
+    problems.push('Name and value are both empty');
+  }
+
+  if (INVALID_NAME_PATTERN.test(name)) {
+    problems.push('Name contains a forbidden character');
+  }
+
+  if (INVALID_VALUE_PATTERN.test(cookie.value || '')) {
+    problems.push('Value contains a forbidden character');
+  }
+
+  if (name.startsWith('__Secure-') && !cookie.secure) {
+    problems.push('__Secure- cookies must be Secure');
+  }
+
+  if (name.startsWith('__Host-')) {
+    if (!cookie.secure) problems.push('__Host- cookies must be Secure');
+    if (!cookie.hostOnly) problems.push('__Host- cookies must be host-only (no Domain attribute)');
+    if ((cookie.path || '/') !== '/') problems.push('__Host- cookies must have path "/"');
+  }
+
+  if (cookie.sameSite === 'no_restriction' && !cookie.secure) {
+    problems.push('SameSite=None requires Secure');
+  }
+
+  if (cookie.partitionKey) {
+    if (!cookie.secure) problems.push('Partitioned cookies must be Secure');
+    if (!/^https:\/\/[^/]+$/.test(partitionSite(cookie))) {
+      problems.push('Partition site must be an https:// origin, e.g. https://example.com');
+    }
+  }
+
+  if (cookie.secure && cookie.url) {
+    try {
+      const source = new URL(cookie.url);
+      if (source.protocol === 'http:' && source.hostname !== 'localhost') {
+        problems.push('Secure cookie cannot be set from an http URL');
+      }
+    } catch (error) {
+      problems.push('Invalid url');
+    }
+  }
+
+  if (!cookie.session && cookie.expirationDate && cookie.expirationDate * 1000 < Date.now()) {
+    problems.push('Already expired');
+  }
+
+  return problems;
+}
+
+/**
+ * Top-level site a partitioned (CHIPS) cookie is keyed to
+ * @param {Object} cookie - Cookie object
+ * @returns {string} Site, or '' for unpartitioned cookies
+ */
+function partitionSite(cookie) {
+  return (cookie.partitionKey && cookie.partitionKey.topLevelSite) || '';
+}
+
+/**
+ * Checks whether two cookie objects refer to the same stored cookie
+ * Chrome keys cookies by name, domain, path, host-only flag and partition
+ * @param {Object} a - Cookie object
+ * @param {Object} b - Cookie object
+ * @returns {boolean} True if setting one would overwrite the other
+ */
+function isSameCookie(a, b) {
+  return a.name === b.name &&
+    normalizeDomain(a.domain) === normalizeDomain(b.domain) &&
+    !!a.hostOnly === !!b.hostOnly &&
+    (a.path || '/') === (b.path || '/') &&
+    partitionSite(a) === partitionSite(b);
+}
+
+/**
+ * Builds a string key for a stored cookie, e.g. for use in maps and sets
+ * Unlike isSameCookie() it also tells apart cookies in different cookie stores
+ * @param {Object} cookie - Cookie object
+ * @returns {string} Identity key
+ */
+function cookieIdentityKey(cookie) {
+  const parts = [
+    cookie.storeId || '0',
+    cookie.name,
+    normalizeDomain(cookie.domain),
+    !!cookie.hostOnly,
+    cookie.path || '/'
+  ];
+
+  // Appended only when present so keys of unpartitioned cookies stay as they were
+  if (partitionSite(cookie)) {
+    parts.push(partitionSite(cookie));
+  }
+
+  return parts.join('|');
+}
+
+/**
+ * Reduces a cookie to the fields that identify it in Chrome's cookie jar
+ * Everything needed to address exactly one cookie, e.g. to delete it
+ * @param {Object} cookie - Cookie object
+ * @returns {Object} { name, domain, hostOnly, path, storeId[, partitionKey] }
+ */
+function toCookieIdentity(cookie) {
+  const identity = {
+    name: cookie.name,
+    domain: cookie.domain,
+    hostOnly: !!cookie.hostOnly,
+    path: cookie.path || '/',
+    storeId: cookie.storeId || '0'
+  };
+
+  if (cookie.partitionKey) {
+    identity.partitionKey = cookie.partitionKey;
+  }
+
+  return identity;
+}
+
+/**
+ * Normalizes a field for comparison so cosmetic differences don't count as changes
+ * @param {Object} cookie - Cookie object
+ * @param {string} field - Field name from DIFF_FIELDS
+ * @returns {*} Comparable value
+ */
+function comparableField(cookie, field) {
+  switch (field) {
+    case 'expirationDate':
+      // Chrome reports fractional seconds; session cookies have no expiry at all
+      return cookie.session || !cookie.expirationDate ? null : Math.floor(cookie.expirationDate);
+    case 'sameSite':
+      return cookie.sameSite || 'unspecified';
+    case 'value':
+      return cookie.value || '';
+    default:
+      return !!cookie[field];
+  }
+}
+
+/**
+ * Lists the fields that differ between a live cookie and one about to replace it
+ * @param {Object} live - Cookie currently in the browser
+ * @param {Object} incoming - Cookie that would be written
+ * @returns {Array<Object>} { field, from, to } for each difference
+ */
+function diffCookie(live, incoming) {
+  const changes = [];
+
+  for (const field of DIFF_FIELDS) {
+    const from = comparableField(live, field);
+    const to = comparableField(incoming, field);
+
+    if (from !== to) {
+      changes.push({ field, from, to });
+    }
+  }
+
+  return changes;
+}
+
+// Make functions available globally for importScripts compatibility
+if (typeof self !== 'undefined') {
+  self.getCookieProblems = getCookieProblems;
+  self.isSameCookie = isSameCookie;
+  self.cookieIdentityKey = cookieIdentityKey;
+  self.toCookieIdentity = toCookieIdentity;
+  self.diffCookie = diffCookie;
+}
@@ -3,6 +3,56 @@
  * Provides AES-256-GCM encryption/decryption for secure cookie storage
  */
 
+// PBKDF2 iterations used when wrapping the master key with a user passphrase
+const PASSPHRASE_KDF_ITERATIONS = 310000;
+
+const MIN_PASSPHRASE_LENGTH = 8;
+const DEFAULT_AUTO_LOCK_MINUTES = 15;
+const VAULT_LOCKED_ERROR = 'Vault is locked. Unlock it with your passphrase first';
+
+// Current ciphertext envelope; bump the version (and teach parseEnvelope to
+// read the old one) when changing any of these
+const ENVELOPE_VERSION = 2;
+const ENVELOPE_KDF = 'PBKDF2-SHA256';
+const ENVELOPE_ALGORITHM = 'AES-256-GCM';
+const ENVELOPE_KDF_ITERATIONS = 310000;
+// Iteration counts accepted from an envelope; imports are untrusted, and a huge
+// count would keep the worker busy deriving keys
+const ENVELOPE_MIN_ITERATIONS = 100000;
+const ENVELOPE_MAX_ITERATIONS = 2000000;
+const ENVELOPE_SALT_BYTES = 16;
+const ENVELOPE_IV_BYTES = 12;
+// AES-GCM appends a 16-byte authentication tag to every ciphertext
+const ENVELOPE_TAG_BYTES = 16;
+const ENVELOPE_KEY_TYPES = ['master', 'password'];
+
+/**
+ * Encodes bytes as base64 without spreading them onto the call stack
+ * @param {Uint8Array} bytes - Bytes to encode
+ * @returns {string} Base64 string
+ */
+function bytesToBase64(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i++) {
+    binary += String.fromCharCode(bytes[i]);
+  }
+  return btoa(binary);
+}
+
+/**
+ * Decodes a base64 string into bytes
+ * @param {string} base64 - Base64 string
+ * @returns {Uint8Array} Decoded bytes
+ */
+function base64ToBytes(base64) {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
 /**
  * Generates a cryptographically secure 32-character random string
  * Uses base64 encoding to produce exactly 32 characters from 24 random bytes
@@ -22,18 +72,25 @@ function generateEncryptionKey() {
 /**
  * Retrieves existing encryption key from chrome.storage.local or generates a new one
  * Validates that the key is exactly 32 characters; regenerates if invalid
+ * In passphrase mode the key is read from the unlocked vault session instead
  * @returns {Promise<string>} The encryption key (exactly 32 characters)
- * @throws {Error} If unable to access chrome.storage
+ * @throws {Error} If unable to access chrome.storage or the vault is locked
  */
 async function getOrCreateKey() {
   try {
     return new Promise((resolve, reject) => {
-      chrome.storage.local.get(['masterEncryptionKey'], (result) => {
+      chrome.storage.local.get(['masterEncryptionKey', 'wrappedMasterKey'], (result) => {
         if (chrome.runtime.lastError) {
           reject(new Error(`Failed to retrieve encryption key: ${chrome.runtime.lastError.message}`));
           return;
         }
 
+        // Passphrase mode: the raw key never touches storage.local
+        if (result.wrappedMasterKey) {
+          getUnlockedKey().then(resolve, reject);
+          return;
+        }
+
         // Validate existing key or generate new one
         if (result.masterEncryptionKey && result.masterEncryptionKey.length === 32) {
           resolve(result.masterEncryptionKey);
@@ -65,10 +122,12 @@ async function getOrCreateKey() {
 /**
  * Converts a 32-character string to a CryptoKey using PBKDF2 key derivation
  * @param {string} keyString - 32-character string to derive key from
+ * @param {Uint8Array} [salt] - PBKDF2 salt (defaults to the fixed legacy salt)
+ * @param {number} [iterations=100000] - PBKDF2 iteration count
  * @returns {Promise<CryptoKey>} CryptoKey suitable for AES-256-GCM
  * @private
  */
-async function stringToCryptoKey(keyString) {
+async function stringToCryptoKey(keyString, salt, iterations = 100000) {
   // Use PBKDF2 to derive a 256-bit key from the 32-character string
   const encoder = new TextEncoder();
   const keyMaterial = encoder.encode(keyString);
@@ -83,14 +142,16 @@ async function stringToCryptoKey(keyString) {
   );
   
   // Fixed salt for deterministic key derivation (since our input is already random)
-  const salt = encoder.encode('CookieManagerPro-AES-Salt');
-  
+  if (!salt) {
+    salt = encoder.encode('CookieManagerPro-AES-Salt');
+  }
+
   // Derive the AES-GCM key
   return await crypto.subtle.deriveKey(
     {
       name: 'PBKDF2',
       salt: salt,
-      iterations: 100000,
+      iterations: iterations,
       hash: 'SHA-256'
     },
     importedKey,
@@ -100,76 +161,539 @@ async function stringToCryptoKey(keyString) {
   );
 }
 
+// ==================== Passphrase Vault ====================
+
+/**
+ * Wraps the master key with a key derived from the user's passphrase
+ * @param {string} masterKey - 32-character master key
+ * @param {string} passphrase - User passphrase
+ * @returns {Promise<Object>} Wrapped key record ({ salt, iterations, data })
+ * @private
+ */
+async function wrapMasterKey(masterKey, passphrase) {
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const wrappingKey = await stringToCryptoKey(passphrase, salt, PASSPHRASE_KDF_ITERATIONS);
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+
+  const encryptedBytes = await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv: iv },
+    wrappingKey,
+    new TextEncoder().encode(masterKey)
+  );
+
+  const combinedBytes = new Uint8Array(iv.length + encryptedBytes.byteLength);
+  combinedBytes.set(iv, 0);
+  combinedBytes.set(new Uint8Array(encryptedBytes), iv.length);
+
+  return {
+    salt: bytesToBase64(salt),
+    iterations: PASSPHRASE_KDF_ITERATIONS,
+    data: bytesToBase64(combinedBytes)
+  };
+}
+
+/**
+ * Recovers the master key from a wrapped key record
+ * @param {Object} record - Wrapped key record from wrapMasterKey()
+ * @param {string} passphrase - User passphrase
+ * @returns {Promise<string>} The 32-character master key
+ * @throws {Error} If the passphrase is incorrect
+ * @private
+ */
+async function unwrapMasterKey(record, passphrase) {
+  const wrappingKey = await stringToCryptoKey(passphrase, base64ToBytes(record.salt), record.iterations);
+  const combinedBytes = base64ToBytes(record.data);
+
+  try {
+    const decryptedBytes = await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: combinedBytes.slice(0, 12) },
+      wrappingKey,
+      combinedBytes.slice(12)
+    );
+    return new TextDecoder().decode(decryptedBytes);
+  } catch (error) {
+    throw new Error('Incorrect passphrase');
+  }
+}
+
+/**
+ * Reads the auto-lock timeout from storage
+ * @returns {Promise<number>} Minutes of inactivity before locking (0 = never)
+ * @private
+ */
+async function getAutoLockMinutes() {
+  const result = await chrome.storage.local.get(['vaultSettings']);
+  const settings = result.vaultSettings || {};
+  return typeof settings.autoLockMinutes === 'number' ? settings.autoLockMinutes : DEFAULT_AUTO_LOCK_MINUTES;
+}
+
+/**
+ * Stores the unlocked master key in session memory and (re)arms the auto-lock deadline
+ * chrome.storage.session is never written to disk and is cleared when the browser exits
+ * @param {string} masterKey - 32-character master key
+ * @private
+ */
+async function startVaultSession(masterKey) {
+  const minutes = await getAutoLockMinutes();
+  const vaultExpiresAt = minutes > 0 ? Date.now() + minutes * 60000 : null;
+  await chrome.storage.session.set({ vaultKey: masterKey, vaultExpiresAt });
+}
+
+/**
+ * Returns the master key from the unlocked vault session
+ * Reading the key doesn't push the auto-lock deadline back, so background work
+ * (alarms, cookie listeners, profile swaps) can't keep the vault open; only
+ * extendVaultSession() does, for actions the user takes in the popup
+ * @returns {Promise<string>} The 32-character master key
+ * @throws {Error} If the vault is locked or the session has expired
+ * @private
+ */
+async function getUnlockedKey() {
+  const session = await chrome.storage.session.get(['vaultKey', 'vaultExpiresAt']);
+
+  if (!session.vaultKey) {
+    throw new Error(VAULT_LOCKED_ERROR);
+  }
+
+  if (session.vaultExpiresAt && Date.now() >= session.vaultExpiresAt) {
+    await lockVault();
+    throw new Error(VAULT_LOCKED_ERROR);
+  }
+
+  return session.vaultKey;
+}
+
+/**
+ * Pushes the auto-lock deadline back while the vault is unlocked
+ * Call it for user activity only; an expired or locked vault stays locked
+ * @returns {Promise<void>}
+ */
+async function extendVaultSession() {
+  const session = await chrome.storage.session.get(['vaultKey', 'vaultExpiresAt']);
+
+  if (session.vaultKey && !(session.vaultExpiresAt && Date.now() >= session.vaultExpiresAt)) {
+    await startVaultSession(session.vaultKey);
+  }
+}
+
+/**
+ * Describes the current vault state
+ * @returns {Promise<Object>} { passphraseEnabled, locked, autoLockMinutes, expiresAt }
+ */
+async function getVaultStatus() {
+  const local = await chrome.storage.local.get(['wrappedMasterKey']);
+  const session = await chrome.storage.session.get(['vaultKey', 'vaultExpiresAt']);
+  const passphraseEnabled = !!local.wrappedMasterKey;
+  const expired = !!session.vaultExpiresAt && Date.now() >= session.vaultExpiresAt;
+
+  return {
+    passphraseEnabled,
+    locked: passphraseEnabled && (!session.vaultKey || expired),
+    autoLockMinutes: await getAutoLockMinutes(),
+    expiresAt: session.vaultExpiresAt || null
+  };
+}
+
+/**
+ * Locks the vault if its auto-lock deadline has passed
+ * @returns {Promise<boolean>} True if the vault is locked afterwards
+ */
+async function enforceVaultAutoLock() {
+  const status = await getVaultStatus();
+  if (status.passphraseEnabled && status.locked) {
+    await lockVault();
+  }
+  return status.locked;
+}
+
+/**
+ * Unlocks the vault for this browser session
+ * @param {string} passphrase - User passphrase
+ * @returns {Promise<void>}
+ * @throws {Error} If passphrase mode is off or the passphrase is incorrect
+ */
+async function unlockVault(passphrase) {
+  const result = await chrome.storage.local.get(['wrappedMasterKey']);
+  if (!result.wrappedMasterKey) {
+    throw new Error('Passphrase mode is not enabled');
+  }
+
+  const masterKey = await unwrapMasterKey(result.wrappedMasterKey, passphrase);
+  await startVaultSession(masterKey);
+}
+
+/**
+ * Forgets the unlocked master key
+ * @returns {Promise<void>}
+ */
+async function lockVault() {
+  await chrome.storage.session.remove(['vaultKey', 'vaultExpiresAt']);
+}
+
+/**
+ * Switches to passphrase mode: wraps the master key and removes the raw copy from storage
+ * @param {string} passphrase - New passphrase (at least 8 characters)
+ * @returns {Promise<void>}
+ * @throws {Error} If passphrase mode is already on or the passphrase is too short
+ */
+async function enablePassphrase(passphrase) {
+  if (!passphrase || passphrase.length < MIN_PASSPHRASE_LENGTH) {
+    throw new Error(`Passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters`);
+  }
+
+  const status = await getVaultStatus();
+  if (status.passphraseEnabled) {
+    throw new Error('Passphrase mode is already enabled');
+  }
+
+  const masterKey = await getOrCreateKey();
+  const wrappedMasterKey = await wrapMasterKey(masterKey, passphrase);
+
+  // Write the wrapped copy first so a failure can never leave us without a key
+  await chrome.storage.local.set({ wrappedMasterKey });
+  await chrome.storage.local.remove(['masterEncryptionKey']);
+  await startVaultSession(masterKey);
+}
+
+/**
+ * Leaves passphrase mode: stores the raw master key in storage.local again
+ * @param {string} passphrase - Current passphrase
+ * @returns {Promise<void>}
+ * @throws {Error} If passphrase mode is off or the passphrase is incorrect
+ */
+async function disablePassphrase(passphrase) {
+  const result = await chrome.storage.local.get(['wrappedMasterKey']);
+  if (!result.wrappedMasterKey) {
+    throw new Error('Passphrase mode is not enabled');
+  }
+
+  const masterKey = await unwrapMasterKey(result.wrappedMasterKey, passphrase);
+
+  await chrome.storage.local.set({ masterEncryptionKey: masterKey });
+  await chrome.storage.local.remove(['wrappedMasterKey']);
+  await lockVault();
+}
+
+/**
+ * Updates the auto-lock timeout and re-arms the current session with it
+ * @param {number} minutes - Minutes of inactivity before locking (0 = never)
+ * @returns {Promise<void>}
+ */
+async function setAutoLockMinutes(minutes) {
+  const value = Number(minutes);
+  if (!Number.isFinite(value) || value < 0) {
+    throw new Error('Auto-lock timeout must be zero or a positive number of minutes');
+  }
+
+  await chrome.storage.local.set({ vaultSettings: { autoLockMinutes: value } });
+
+  const session = await chrome.storage.session.get(['vaultKey']);
+  if (session.vaultKey) {
+    await startVaultSession(session.vaultKey);
+  }
+}
+
+// ==================== Key Rotation ====================
+
+/**
+ * Prepares a master key rotation without touching storage
+ * The caller re-encrypts its blobs with reencrypt(), writes them together with
+ * keyRecord in a single storage.local.set(), then calls activate(). If anything
+ * fails before that write, the old key stays in place and nothing changes.
+ * @param {string} [passphrase] - Current passphrase (required in passphrase mode)
+ * @returns {Promise<Object>} { reencrypt, keyRecord, previousKeyRecord, activate }
+ * @throws {Error} If the vault is locked or the passphrase is incorrect
+ */
+async function createMasterKeyRotation(passphrase) {
+  const stored = await chrome.storage.local.get(['masterEncryptionKey', 'wrappedMasterKey']);
+  const oldKey = await getOrCreateKey();
+  const newKey = generateEncryptionKey();
+
+  let keyRecord;
+  let previousKeyRecord;
+
+  if (stored.wrappedMasterKey) {
+    if (!passphrase) {
+      throw new Error('Passphrase is required to rotate a protected master key');
+    }
+
+    // Proves the caller knows the passphrase before we re-wrap with it
+    await unwrapMasterKey(stored.wrappedMasterKey, passphrase);
+
+    keyRecord = { wrappedMasterKey: await wrapMasterKey(newKey, passphrase) };
+    previousKeyRecord = { wrappedMasterKey: stored.wrappedMasterKey };
+  } else {
+    keyRecord = { masterEncryptionKey: newKey };
+    previousKeyRecord = { masterEncryptionKey: oldKey };
+  }
+
+  return {
+    keyRecord,
+    previousKeyRecord,
+
+    /**
+     * Decrypts a blob with the old key and re-encrypts it with the new one,
+     * verifying the result round-trips before handing it back
+     */
+    reencrypt: async (encryptedData) => {
+      const data = await decryptWithKeyString(encryptedData, oldKey);
+      const reencrypted = await encryptWithKeyString(data, newKey);
+      const check = await decryptWithKeyString(reencrypted, newKey);
+
+      if (JSON.stringify(check) !== JSON.stringify(data)) {
+        throw new Error('Re-encrypted data failed verification');
+      }
+
+      return reencrypted;
+    },
+
+    activate: async () => {
+      if (stored.wrappedMasterKey) {
+        await startVaultSession(newKey);
+      }
+    }
+  };
+}
+
+// ==================== Ciphertext Envelope ====================
+
+/**
+ * Parses any ciphertext produced by this module into a normalized envelope
+ * Version 1 is the original bare base64 IV+ciphertext with a fixed salt;
+ * version 2 is a JSON document that records its own KDF parameters
+ * @param {string} encryptedData - Encrypted string
+ * @returns {Object} Envelope ({ v, kdf, iter, salt, alg, key, iv, ct })
+ * @throws {Error} If the format or version is not recognized, or a parameter is out of range
+ * @private
+ */
+function parseEnvelope(encryptedData) {
+  if (typeof encryptedData !== 'string' || !encryptedData.trim()) {
+    throw new Error('Encrypted data must be a non-empty string');
+  }
+
+  const trimmed = encryptedData.trim();
+
+  if (!trimmed.startsWith('{')) {
+    const combinedBytes = base64ToBytes(trimmed);
+    return {
+      v: 1,
+      kdf: ENVELOPE_KDF,
+      iter: 100000,
+      salt: null,
+      alg: ENVELOPE_ALGORITHM,
+      key: 'master',
+      iv: combinedBytes.slice(0, 12),
+      ct: combinedBytes.slice(12)
+    };
+  }
+
+  let envelope;
+  try {
+    envelope = JSON.parse(trimmed);
+  } catch (error) {
+    throw new Error('Malformed encryption envelope');
+  }
+
+  switch (envelope.v) {
+    case 2:
+      if (envelope.kdf !== ENVELOPE_KDF || envelope.alg !== ENVELOPE_ALGORITHM) {
+        throw new Error(`Unsupported envelope parameters: ${envelope.kdf} / ${envelope.alg}`);
+      }
+      if (!Number.isInteger(envelope.iter) ||
+          envelope.iter < ENVELOPE_MIN_ITERATIONS || envelope.iter > ENVELOPE_MAX_ITERATIONS) {
+        throw new Error(`Envelope iteration count must be a whole number from ${ENVELOPE_MIN_ITERATIONS} to ${ENVELOPE_MAX_ITERATIONS}`);
+      }
+      if (envelope.key !== undefined && !ENVELOPE_KEY_TYPES.includes(envelope.key)) {
+        throw new Error(`Unsupported envelope key type: ${envelope.key}`);
+      }
+      return {
+        ...envelope,
+        key: envelope.key || 'master',
+        salt: decodeEnvelopeField(envelope, 'salt', length => length === ENVELOPE_SALT_BYTES),
+        iv: decodeEnvelopeField(envelope, 'iv', length => length === ENVELOPE_IV_BYTES),
+        ct: decodeEnvelopeField(envelope, 'ct', length => length >= ENVELOPE_TAG_BYTES)
+      };
+
+    default:
+      throw new Error(`Unsupported envelope version: ${envelope.v}`);
+  }
+}
+
+/**
+ * Decodes one base64 field of a version 2 envelope and checks its length
+ * @param {Object} envelope - Parsed envelope JSON
+ * @param {string} field - 'salt', 'iv' or 'ct'
+ * @param {Function} isValidLength - (byteLength) => boolean
+ * @returns {Uint8Array} Decoded bytes
+ * @throws {Error} If the field is missing, not base64 or the wrong length
+ * @private
+ */
+function decodeEnvelopeField(envelope, field, isValidLength) {
+  let bytes;
+  try {
+    bytes = typeof envelope[field] === 'string' ? base64ToBytes(envelope[field]) : null;
+  } catch (error) {
+    bytes = null;
+  }
+
+  if (!bytes || !isValidLength(bytes.length)) {
+    throw new Error(`Malformed encryption envelope: invalid ${field}`);
+  }
+
+  return bytes;
+}
+
+/**
+ * Describes an encrypted string without decrypting it
+ * @param {string} encryptedData - Encrypted string
+ * @returns {Object} { version, kdf, iterations, algorithm, keyType }
+ * @throws {Error} If the format or version is not recognized
+ */
+function describeEnvelope(encryptedData) {
+  const envelope = parseEnvelope(encryptedData);
+  return {
+    version: envelope.v,
+    kdf: envelope.kdf,
+    iterations: envelope.iter,
+    algorithm: envelope.alg,
+    keyType: envelope.key
+  };
+}
+
+/**
+ * Encrypts data with a key string, producing a current-version envelope
+ * Every call derives its key with a fresh random salt
+ * @param {any} data - Any JSON-serializable data to encrypt
+ * @param {string} keyString - Secret to derive the AES key from
+ * @param {string} [keyType='master'] - Which secret was used ('master' or 'password')
+ * @returns {Promise<string>} JSON envelope string
+ * @private
+ */
+async function encryptWithKeyString(data, keyString, keyType = 'master') {
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const cryptoKey = await stringToCryptoKey(keyString, salt, ENVELOPE_KDF_ITERATIONS);
+
+  const encryptedBytes = await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv: iv },
+    cryptoKey,
+    new TextEncoder().encode(JSON.stringify(data))
+  );
+
+  return JSON.stringify({
+    v: ENVELOPE_VERSION,
+    kdf: ENVELOPE_KDF,
+    iter: ENVELOPE_KDF_ITERATIONS,
+    salt: bytesToBase64(salt),
+    alg: ENVELOPE_ALGORITHM,
+    key: keyType,
+    iv: bytesToBase64(iv),
+    ct: bytesToBase64(new Uint8Array(encryptedBytes))
+  });
+}
+
 /**
- * Encrypts data using AES-256-GCM
+ * Decrypts an envelope of any supported version with a key string
+ * @param {string} encryptedData - Encrypted string
+ * @param {string} keyString - Secret to derive the AES key from
+ * @returns {Promise<any>} Original decrypted data
+ * @private
+ */
+async function decryptWithKeyString(encryptedData, keyString) {
+  const envelope = parseEnvelope(encryptedData);
+  const cryptoKey = await stringToCryptoKey(keyString, envelope.salt, envelope.iter);
+
+  const decryptedBytes = await crypto.subtle.decrypt(
+    { name: 'AES-GCM', iv: envelope.iv },
+    cryptoKey,
+    envelope.ct
+  );
+
+  return JSON.parse(new TextDecoder().decode(decryptedBytes));
+}
+
+/**
+ * Encrypts data using AES-256-GCM with the master key
  * @param {any} data - Any JSON-serializable data to encrypt
- * @returns {Promise<string>} Base64 encoded encrypted string with IV prepended
+ * @returns {Promise<string>} Versioned JSON envelope string
  * @throws {Error} If encryption fails
  */
 async function encrypt(data) {
   try {
     const key = await getOrCreateKey();
-    const cryptoKey = await stringToCryptoKey(key);
-    
-    const iv = crypto.getRandomValues(new Uint8Array(12));
-    
-    const dataString = JSON.stringify(data);
-    const encoder = new TextEncoder();
-    const dataBytes = encoder.encode(dataString);
-    
-    const encryptedBytes = await crypto.subtle.encrypt(
-      { name: 'AES-GCM', iv: iv },
-      cryptoKey,
-      dataBytes
-    );
-    
-    const combinedBytes = new Uint8Array(iv.length + encryptedBytes.byteLength);
-    combinedBytes.set(iv, 0);
-    combinedBytes.set(new Uint8Array(encryptedBytes), iv.length);
-    
-    return btoa(String.fromCharCode.apply(null, combinedBytes));
+    return await encryptWithKeyString(data, key);
   } catch (error) {
     throw new Error(`Encryption failed: ${error.message}`);
   }
 }
 
 /**
- * Decrypts data using AES-256-GCM
- * @param {string} encryptedData - Base64 encoded encrypted string with IV prepended
+ * Decrypts data using AES-256-GCM with the master key
+ * Accepts both current envelopes and legacy bare base64 blobs
+ * @param {string} encryptedData - Encrypted string
  * @returns {Promise<any>} Original decrypted data
  * @throws {Error} If decryption fails
  */
 async function decrypt(encryptedData) {
   try {
+    if (parseEnvelope(encryptedData).key === 'password') {
+      throw new Error('Data is protected with a password, not the master key');
+    }
+
     const key = await getOrCreateKey();
-    const cryptoKey = await stringToCryptoKey(key);
-    
-    const combinedBytes = new Uint8Array(
-      atob(encryptedData).split('').map(char => char.charCodeAt(0))
-    );
-    
-    const iv = combinedBytes.slice(0, 12);
-    const encryptedBytes = combinedBytes.slice(12);
-    
-    const decryptedBytes = await crypto.subtle.decrypt(
-      { name: 'AES-GCM', iv: iv },
-      cryptoKey,
-      encryptedBytes
-    );
-    
-    const decoder = new TextDecoder();
-    const decryptedString = decoder.decode(decryptedBytes);
-    
-    return JSON.parse(decryptedString);
+    return await decryptWithKeyString(encryptedData, key);
   } catch (error) {
     throw new Error(`Decryption failed: ${error.message}`);
   }
 }
 
+/**
+ * Encrypts data with a one-off password instead of the master key
+ * The result can be decrypted in any browser that knows the password
+ * @param {any} data - Any JSON-serializable data to encrypt
+ * @param {string} password - Export password (at least 8 characters)
+ * @returns {Promise<string>} Versioned JSON envelope string
+ * @throws {Error} If the password is too short or encryption fails
+ */
+async function encryptWithPassword(data, password) {
+  if (!password || password.length < MIN_PASSPHRASE_LENGTH) {
+    throw new Error(`Password must be at least ${MIN_PASSPHRASE_LENGTH} characters`);
+  }
+
+  try {
+    return await encryptWithKeyString(data, password, 'password');
+  } catch (error) {
+    throw new Error(`Encryption failed: ${error.message}`);
+  }
+}
+
+/**
+ * Decrypts data that was encrypted with encryptWithPassword()
+ * @param {string} encryptedData - Encrypted envelope string
+ * @param {string} password - Export password
+ * @returns {Promise<any>} Original decrypted data
+ * @throws {Error} If the password is wrong or the data is corrupted
+ */
+async function decryptWithPassword(encryptedData, password) {
+  if (!password) {
+    throw new Error('Password is required');
+  }
+
+  if (parseEnvelope(encryptedData).key !== 'password') {
+    throw new Error('Data was not encrypted with a password');
+  }
+
+  try {
+    return await decryptWithKeyString(encryptedData, password);
+  } catch (error) {
+    throw new Error('Decryption failed: incorrect password or corrupted data');
+  }
+}
+
 /**
  * Encrypts a JSON object
  * @param {Object} jsonData - JSON object to encrypt
- * @returns {Promise<string>} Base64 encoded encrypted string
+ * @returns {Promise<string>} Versioned JSON envelope string
  * @throws {Error} If encryption fails or data is not JSON-serializable
  */
 async function encryptJSON(jsonData) {
@@ -188,7 +712,7 @@ async function encryptJSON(jsonData) {
 
 /**
  * Decrypts a string back to a JSON object
- * @param {string} encryptedString - Base64 encoded encrypted string
+ * @param {string} encryptedString - Encrypted envelope or legacy base64 string
  * @returns {Promise<Object>} Decrypted JSON object
  * @throws {Error} If decryption fails or result is not a valid JSON object
  */
@@ -214,4 +738,16 @@ if (typeof self !== 'undefined') {
   self.decrypt = decrypt;
   self.encryptJSON = encryptJSON;
   self.decryptJSON = decryptJSON;
+  self.describeEnvelope = describeEnvelope;
+  self.encryptWithPassword = encryptWithPassword;
+  self.decryptWithPassword = decryptWithPassword;
+  self.getVaultStatus = getVaultStatus;
+  self.enforceVaultAutoLock = enforceVaultAutoLock;
+  self.extendVaultSession = extendVaultSession;
+  self.unlockVault = unlockVault;
+  self.lockVault = lockVault;
+  self.enablePassphrase = enablePassphrase;
+  self.disablePassphrase = disablePassphrase;
+  self.setAutoLockMinutes = setAutoLockMinutes;
+  self.createMasterKeyRotation = createMasterKeyRotation;
 }
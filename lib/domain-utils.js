@@ -0,0 +1,196 @@
+/**
+ * Domain and path matching helpers for Cooklix
+ * Implements the RFC 6265 rules Chrome uses to decide which cookies a URL receives
+ */
+
+/**
+ * Strips the leading dot and lowercases a cookie domain
+ * @param {string} domain - Cookie domain (can include leading dot)
+ * @returns {string} Bare host name
+ */
+function normalizeDomain(domain) {
+  const value = String(domain || '').trim().toLowerCase();
+  return value.startsWith('.') ? value.substring(1) : value;
+}
+
+/**
+ * Checks whether a cookie domain applies to a host
+ * @param {string} cookieDomain - Cookie domain (can include leading dot)
+ * @param {string} host - Request host name
+ * @param {boolean} [hostOnly=false] - Whether the cookie is host-only
+ * @returns {boolean} True if the host receives cookies for the domain
+ */
+function domainMatches(cookieDomain, host, hostOnly = false) {
+  const domain = normalizeDomain(cookieDomain);
+  const target = normalizeDomain(host);
+
+  if (hostOnly) {
+    return domain === target;
+  }
+
+  return domain === target || target.endsWith('.' + domain);
+}
+
+/**
+ * Checks whether two hosts belong to the same site, i.e. one is the other or a parent of it
+ * @param {string} a - Host or cookie domain
+ * @param {string} b - Host or cookie domain
+ * @returns {boolean} True if cookies from one could apply to the other
+ */
+function domainsRelated(a, b) {
+  return domainMatches(a, b) || domainMatches(b, a);
+}
+
+// Second-level labels that country-code TLDs commonly register under, as in co.uk or com.au
+const COUNTRY_SECOND_LEVEL_LABELS = ['ac', 'co', 'com', 'edu', 'go', 'gob', 'gov', 'ltd', 'mil', 'ne', 'net', 'nic', 'or', 'org', 'plc', 'sch'];
+
+/**
+ * Checks whether a domain is a public suffix that no site can set cookies on
+ * Approximates the Public Suffix List: single labels other than localhost, and
+ * common second levels of two-letter country TLDs like co.uk
+ * @param {string} domain - Domain (can include leading dot)
+ * @returns {boolean} True for public suffixes such as com or co.uk
+ */
+function isPublicSuffix(domain) {
+  const labels = normalizeDomain(domain).split('.');
+
+  if (labels.length === 1) {
+    return labels[0] !== 'localhost';
+  }
+
+  return labels.length === 2 && labels[1].length === 2 && COUNTRY_SECOND_LEVEL_LABELS.includes(labels[0]);
+}
+
+/**
+ * Finds the registrable domain of a host: its public suffix plus one label
+ * @param {string} host - Host name or cookie domain
+ * @returns {string} e.g. 'example.co.uk' for auth.example.co.uk; empty for a public suffix
+ */
+function registrableDomain(host) {
+  const labels = normalizeDomain(host).split('.');
+
+  for (let count = 1; count <= labels.length; count++) {
+    const candidate = labels.slice(-count).join('.');
+    if (!isPublicSuffix(candidate)) {
+      return candidate;
+    }
+  }
+
+  return '';
+}
+
+/**
+ * Finds the longest run of trailing labels shared by a set of domains
+ * @param {Array<string>} domains - Cookie domains (can include leading dots)
+ * @returns {string} Shared suffix, e.g. 'example.com' for auth.example.com and .example.com
+ */
+function commonDomainSuffix(domains) {
+  const labelLists = domains.map(domain => normalizeDomain(domain).split('.').reverse());
+  if (labelLists.length === 0) return '';
+
+  const shared = [];
+  for (let i = 0; i < labelLists[0].length; i++) {
+    const label = labelLists[0][i];
+    if (!labelLists.every(labels => labels[i] === label)) break;
+    shared.push(label);
+  }
+
+  return shared.reverse().join('.');
+}
+
+/**
+ * Builds a function that moves cookie domains from one site to another,
+ * keeping subdomain structure and leading-dot (domain cookie) semantics
+ * e.g. with cookies on auth.example.com and .example.com captured on app.example.com,
+ * retargeting to app.example.dev maps them to auth.example.dev and .example.dev
+ * Domains are taken relative to the registrable domain, so cookies that all sit on
+ * auth.example.com still land on auth.example.dev rather than on example.dev
+ * @param {Array<string>} sourceDomains - Domains of all cookies being moved
+ * @param {string} sourceSite - Host the cookies were captured on (falls back to their site)
+ * @param {string} targetSite - Host to move them to
+ * @returns {Function} (cookieDomain) => retargeted cookie domain
+ * @throws {Error} If the cookies span unrelated sites or the target is a public suffix
+ */
+function createDomainRetargeter(sourceDomains, sourceSite, targetSite) {
+  const sourceBase = registrableDomain(commonDomainSuffix(sourceDomains));
+  if (!sourceBase) {
+    throw new Error('Cookies span several sites and cannot be retargeted');
+  }
+
+  const target = normalizeDomain(targetSite);
+  if (isPublicSuffix(target)) {
+    throw new Error(`Cannot retarget cookies to ${target || 'an empty domain'}: it is a public suffix`);
+  }
+
+  const site = normalizeDomain(sourceSite) || sourceBase;
+
+  // The part of the capture host below the shared base (e.g. 'app') is matched
+  // against the target so app.example.com -> app.example.dev maps the base too;
+  // app.co.uk keeps itself as the base, since co.uk can't hold cookies
+  let targetBase = target;
+  if (site.endsWith('.' + sourceBase)) {
+    const sitePrefix = site.slice(0, -(sourceBase.length + 1));
+    const stripped = target.startsWith(sitePrefix + '.') ? target.slice(sitePrefix.length + 1) : '';
+    if (stripped && !isPublicSuffix(stripped)) {
+      targetBase = stripped;
+    }
+  }
+
+  return (cookieDomain) => {
+    const bare = normalizeDomain(cookieDomain);
+    const prefix = bare === sourceBase ? '' : bare.slice(0, -(sourceBase.length + 1));
+    const mapped = prefix ? `${prefix}.${targetBase}` : targetBase;
+    return String(cookieDomain).startsWith('.') ? '.' + mapped : mapped;
+  };
+}
+
+/**
+ * Checks whether a cookie path applies to a request path (RFC 6265 §5.1.4)
+ * @param {string} cookiePath - Cookie path
+ * @param {string} requestPath - Request path
+ * @returns {boolean} True if the path matches
+ */
+function pathMatches(cookiePath, requestPath) {
+  const path = cookiePath || '/';
+  const target = requestPath || '/';
+
+  if (target === path) return true;
+  if (!target.startsWith(path)) return false;
+
+  return path.endsWith('/') || target.charAt(path.length) === '/';
+}
+
+/**
+ * Checks whether a browser request to a URL would carry a cookie
+ * @param {Object} cookie - Chrome cookie object
+ * @param {string} url - Request URL
+ * @returns {boolean} True if the cookie would be sent
+ */
+function cookieMatchesUrl(cookie, url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return false;
+  }
+
+  // Chrome treats localhost as a secure origin even over http
+  const isSecureOrigin = parsed.protocol === 'https:' || parsed.hostname === 'localhost';
+
+  return domainMatches(cookie.domain, parsed.hostname, cookie.hostOnly) &&
+    pathMatches(cookie.path, parsed.pathname) &&
+    (!cookie.secure || isSecureOrigin);
+}
+
+// Make functions available globally for importScripts compatibility
+if (typeof self !== 'undefined') {
+  self.normalizeDomain = normalizeDomain;
+  self.domainMatches = domainMatches;
+  self.domainsRelated = domainsRelated;
+  self.isPublicSuffix = isPublicSuffix;
+  self.registrableDomain = registrableDomain;
+  self.commonDomainSuffix = commonDomainSuffix;
+  self.createDomainRetargeter = createDomainRetargeter;
+  self.pathMatches = pathMatches;
+  self.cookieMatchesUrl = cookieMatchesUrl;
+}
@@ -0,0 +1,281 @@
+/**
+ * Cookie value inspection for Cooklix
+ * Peels percent-encoding, base64/base64url and JSON off a cookie value, recognizes
+ * JWTs, and re-applies the same encodings after the decoded content is edited.
+ * Relies on bytesToBase64() and base64ToBytes() from crypto.js.
+ */
+
+// Anything shorter is more likely a word or an ID than base64
+const MIN_BASE64_LENGTH = 8;
+// How deep nested encodings are followed, e.g. URL-encoded base64 of JSON
+const MAX_INSPECT_DEPTH = 5;
+// JWTs expiring sooner than this get a warning
+const JWT_EXPIRY_WARNING_SECONDS = 5 * 60;
+
+const BASE64_PATTERN = /^[A-Za-z0-9+/]+={0,2}$/;
+const BASE64URL_PATTERN = /^[A-Za-z0-9_-]+$/;
+const JWT_PATTERN = /^[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]*$/;
+const JWT_TIME_CLAIMS = ['exp', 'iat', 'nbf', 'auth_time'];
+
+const LAYER_LABELS = {
+  url: 'URL-encoded',
+  base64: 'Base64',
+  base64url: 'Base64url',
+  json: 'JSON',
+  jwt: 'JWT'
+};
+
+/**
+ * Decodes base64 or base64url into text
+ * @param {string} text - Encoded text, padding optional
+ * @returns {string|null} Decoded text, or null if it isn't printable UTF-8
+ */
+function decodeBase64Text(text) {
+  const standard = text.replace(/-/g, '+').replace(/_/g, '/').replace(/=+$/, '');
+  if (standard.length % 4 === 1) return null;
+
+  try {
+    const padded = standard + '='.repeat((4 - standard.length % 4) % 4);
+    const decoded = new TextDecoder('utf-8', { fatal: true }).decode(base64ToBytes(padded));
+    // Binary data that happens to be valid UTF-8 still shows up as control characters
+    return /[\x00-\x08\x0e-\x1f\x7f]/.test(decoded) ? null : decoded;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Encodes text as base64 or base64url
+ * @param {string} text - Text to encode
+ * @param {Object} [options] - Encoding options
+ * @param {boolean} [options.urlSafe=false] - Use the base64url alphabet
+ * @param {boolean} [options.padded=true] - Keep trailing '=' padding
+ * @returns {string} Encoded text
+ */
+function encodeBase64Text(text, { urlSafe = false, padded = true } = {}) {
+  let encoded = bytesToBase64(new TextEncoder().encode(text));
+  if (urlSafe) encoded = encoded.replace(/\+/g, '-').replace(/\//g, '_');
+  if (!padded) encoded = encoded.replace(/=+$/, '');
+  return encoded;
+}
+
+/**
+ * Parses text as a JSON object or array
+ * @param {string} text - Candidate JSON
+ * @returns {*} Parsed value, or undefined if the text isn't a JSON object or array
+ */
+function parseJsonContainer(text) {
+  const trimmed = text.trim();
+  if (!/^[[{]/.test(trimmed)) return undefined;
+
+  try {
+    return JSON.parse(trimmed);
+  } catch (error) {
+    return undefined;
+  }
+}
+
+/**
+ * Finds integers in JSON text that JavaScript numbers can't hold exactly
+ * @param {string} text - JSON text
+ * @returns {Array<string>} Integer literals beyond Number.MAX_SAFE_INTEGER, as written
+ */
+function findUnsafeIntegers(text) {
+  // Strings are matched too, so digits inside them are skipped
+  const tokens = text.match(/"(?:[^"\\]|\\.)*"|-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?/g) || [];
+  return tokens.filter(token => /^-?\d+$/.test(token) && !Number.isSafeInteger(Number(token)));
+}
+
+/**
+ * Describes the time claims of a JWT payload
+ * @param {Object} payload - Decoded JWT payload
+ * @param {number} [now] - Seconds since the epoch to compare the claims with; defaults to now
+ * @returns {Object} { claims: [{ name, timestamp }], expired, expiresIn, warning }
+ */
+function describeJwtTimes(payload, now = Date.now() / 1000) {
+  const claims = JWT_TIME_CLAIMS
+    .filter(name => typeof payload[name] === 'number')
+    .map(name => ({ name, timestamp: payload[name] }));
+
+  let warning = null;
+  const expired = typeof payload.exp === 'number' && payload.exp <= now;
+  const expiresIn = typeof payload.exp === 'number' ? Math.round(payload.exp - now) : null;
+
+  if (expired) {
+    warning = 'This token has expired';
+  } else if (expiresIn !== null && expiresIn < JWT_EXPIRY_WARNING_SECONDS) {
+    warning = 'This token expires in less than 5 minutes';
+  } else if (typeof payload.nbf === 'number' && payload.nbf > now) {
+    warning = 'This token is not valid yet';
+  }
+
+  return { claims, expired, expiresIn, warning };
+}
+
+/**
+ * Tries to read a value as a JWT
+ * @param {string} text - Candidate token
+ * @returns {Object|null} JWT layer ({ type, header, signature, times }) and the
+ *   payload JSON, or null if the text isn't a JWT
+ */
+function inspectJwt(text) {
+  if (!JWT_PATTERN.test(text)) return null;
+
+  const [headerPart, payloadPart, signature] = text.split('.');
+  const headerText = decodeBase64Text(headerPart);
+  const payloadText = decodeBase64Text(payloadPart);
+  const header = headerText && parseJsonContainer(headerText);
+  const payload = payloadText && parseJsonContainer(payloadText);
+
+  if (!header || typeof header.alg !== 'string' || !payload || typeof payload !== 'object') {
+    return null;
+  }
+
+  return {
+    layer: {
+      type: 'jwt',
+      header,
+      headerPart,
+      signature,
+      times: describeJwtTimes(payload)
+    },
+    payloadText
+  };
+}
+
+/**
+ * Decodes a cookie value layer by layer
+ * @param {string} value - Raw cookie value
+ * @returns {Object} { original, layers, text, format } where layers lists the encodings
+ *   from outermost to innermost, text is the fully decoded content (pretty-printed if JSON)
+ *   and format is 'json' or 'text'
+ */
+function inspectCookieValue(value) {
+  const original = String(value || '');
+  const layers = [];
+  let text = original;
+
+  for (let depth = 0; depth < MAX_INSPECT_DEPTH; depth++) {
+    const jwt = inspectJwt(text);
+    if (jwt) {
+      layers.push(jwt.layer);
+      text = jwt.payloadText;
+      break;
+    }
+
+    if (parseJsonContainer(text) !== undefined) {
+      break;
+    }
+
+    if (/%[0-9A-Fa-f]{2}/.test(text)) {
+      try {
+        // '+' means a space in form encoding, but it is also a base64 character,
+        // as in base64 values with only the padding escaped ('...+P3g%3D%3D')
+        const strict = decodeURIComponent(text);
+        const spaceAsPlus = text.includes('+') && !BASE64_PATTERN.test(strict);
+        const decoded = spaceAsPlus ? decodeURIComponent(text.replace(/\+/g, '%20')) : strict;
+        layers.push({ type: 'url', spaceAsPlus });
+        text = decoded;
+        continue;
+      } catch (error) {
+        // Malformed escapes: treat the value as plain text
+      }
+    }
+
+    const urlSafe = !text.includes('+') && !text.includes('/') && /[-_]/.test(text);
+    const pattern = urlSafe ? BASE64URL_PATTERN : BASE64_PATTERN;
+    if (text.length >= MIN_BASE64_LENGTH && pattern.test(text)) {
+      const decoded = decodeBase64Text(text);
+      if (decoded !== null && decoded.trim()) {
+        layers.push({ type: urlSafe ? 'base64url' : 'base64', padded: text.endsWith('=') });
+        text = decoded;
+        continue;
+      }
+    }
+
+    break;
+  }
+
+  const json = parseJsonContainer(text);
+  if (json !== undefined) {
+    layers.push({ type: 'json', unsafeIntegers: findUnsafeIntegers(text) });
+    text = JSON.stringify(json, null, 2);
+  }
+
+  return { original, layers, text, format: json !== undefined ? 'json' : 'text' };
+}
+
+/**
+ * Re-applies a value's encodings to edited content
+ * @param {Object} inspection - Result of inspectCookieValue()
+ * @param {string} text - Edited content
+ * @returns {string} New cookie value; the original if the content is unchanged
+ * @throws {Error} If JSON content no longer parses, or holds integers too large to re-encode exactly
+ */
+function encodeCookieValue(inspection, text) {
+  if (text === inspection.text) {
+    return inspection.original;
+  }
+
+  let value = text;
+
+  for (const layer of [...inspection.layers].reverse()) {
+    switch (layer.type) {
+      case 'json': {
+        try {
+          JSON.parse(value);
+        } catch (error) {
+          throw new Error(`Invalid JSON: ${error.message}`);
+        }
+
+        // Parsing would round these, e.g. 12345678901234567890 to 12345678901234567000
+        const unsafe = findUnsafeIntegers(value);
+        if (unsafe.length > 0) {
+          throw new Error(`${unsafe[0]} is too large to keep exactly; edit the raw value instead`);
+        }
+
+        value = JSON.stringify(JSON.parse(value));
+        break;
+      }
+
+      case 'jwt':
+        // The signature is kept as is; it no longer matches once the payload changes
+        value = [layer.headerPart, encodeBase64Text(value, { urlSafe: true, padded: false }), layer.signature].join('.');
+        break;
+
+      case 'base64':
+      case 'base64url':
+        value = encodeBase64Text(value, { urlSafe: layer.type === 'base64url', padded: layer.padded });
+        break;
+
+      case 'url': {
+        const encoded = encodeURIComponent(value);
+        value = layer.spaceAsPlus ? encoded.replace(/%20/g, '+') : encoded;
+        break;
+      }
+    }
+  }
+
+  return value;
+}
+
+/**
+ * Names the encodings of an inspected value, outermost first
+ * @param {Object} inspection - Result of inspectCookieValue()
+ * @returns {string} e.g. 'URL-encoded → Base64 → JSON', or 'Plain text'
+ */
+function describeValueLayers(inspection) {
+  return inspection.layers.length > 0
+    ? inspection.layers.map(layer => LAYER_LABELS[layer.type]).join(' → ')
+    : 'Plain text';
+}
+
+// Make functions available globally for importScripts compatibility
+if (typeof self !== 'undefined') {
+  self.decodeBase64Text = decodeBase64Text;
+  self.encodeBase64Text = encodeBase64Text;
+  self.describeJwtTimes = describeJwtTimes;
+  self.inspectCookieValue = inspectCookieValue;
+  self.encodeCookieValue = encodeCookieValue;
+  self.describeValueLayers = describeValueLayers;
+}
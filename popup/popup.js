@@ -5,11 +5,27 @@
 
 // ==================== Global State ====================
 let currentDomain = '';
+let currentStoreId = '0';
+let cookieStores = [];
 let allCookies = [];
 let filteredCookies = [];
 let currentEditCookie = null;
 let confirmCallback = null;
 let operationLock = false;
+let vaultStatus = null;
+let importPreview = null;
+let presetList = [];
+let selectedCookieKeys = new Set();
+let lastSelectedIndex = null;
+let exportSelection = null;
+let presetSaveSelection = null;
+let activityRefreshTimer = null;
+let protectionRules = [];
+let cookieRules = [];
+let editingRuleId = null;
+let valueInspection = null;
+let savedFilters = [];
+let auditReport = null;
 
 // DOM Elements (initialized on load)
 const elements = {};
@@ -20,13 +36,27 @@ document.addEventListener('DOMContentLoaded', async () => {
   initializeElements();
   setupEventListeners();
   await checkFirstRun();
+  await loadVaultStatus(true);
   await loadCurrentDomain();
+  await loadCookieStores();
+  await loadProtectionRules();
   await loadCookies();
   await loadPresets();
+  await loadSwitchSnapshot();
+});
+
+// The service worker announces cookie changes so the list stays current while the popup is open
+chrome.runtime.onMessage.addListener((message) => {
+  if (message.action === 'cookieActivity' && currentDomain &&
+      message.domains.some(domain => domainMatches(domain, currentDomain))) {
+    clearTimeout(activityRefreshTimer);
+    activityRefreshTimer = setTimeout(refreshFromActivity, 300);
+  }
 });
 
 function initializeElements() {
   elements.currentDomain = document.getElementById('currentDomain');
+  elements.storeSelect = document.getElementById('storeSelect');
   elements.cookieList = document.getElementById('cookieList');
   elements.emptyState = document.getElementById('emptyState');
   elements.searchInput = document.getElementById('searchInput');
@@ -39,13 +69,48 @@ function initializeElements() {
   elements.exportModal = document.getElementById('exportModal');
   elements.presetSaveModal = document.getElementById('presetSaveModal');
   elements.presetRenameModal = document.getElementById('presetRenameModal');
+  elements.presetNoteModal = document.getElementById('presetNoteModal');
+  elements.valueInspectorModal = document.getElementById('valueInspectorModal');
+  elements.batchEditModal = document.getElementById('batchEditModal');
+  elements.selectionBar = document.getElementById('selectionBar');
   elements.confirmModal = document.getElementById('confirmModal');
   elements.welcomeModal = document.getElementById('welcomeModal');
+  elements.settingsModal = document.getElementById('settingsModal');
+  elements.historyModal = document.getElementById('historyModal');
+  elements.historyList = document.getElementById('historyList');
+  elements.activityModal = document.getElementById('activityModal');
+  elements.rulesModal = document.getElementById('rulesModal');
+  elements.triggersModal = document.getElementById('triggersModal');
+  elements.profilesModal = document.getElementById('profilesModal');
+  elements.profilesList = document.getElementById('profilesList');
+  elements.triggersList = document.getElementById('triggersList');
+  elements.triggerLog = document.getElementById('triggerLog');
+  elements.rulesList = document.getElementById('rulesList');
+  elements.activityList = document.getElementById('activityList');
+  elements.auditModal = document.getElementById('auditModal');
+  elements.savedFiltersModal = document.getElementById('savedFiltersModal');
+  elements.savedFiltersList = document.getElementById('savedFiltersList');
+  elements.auditList = document.getElementById('auditList');
+  elements.unlockModal = document.getElementById('unlockModal');
+  
+  // Vault elements
+  elements.vaultLockBtn = document.getElementById('vaultLockBtn');
+  elements.vaultStatusText = document.getElementById('vaultStatusText');
+  elements.vaultEnableGroup = document.getElementById('vaultEnableGroup');
+  elements.vaultDisableGroup = document.getElementById('vaultDisableGroup');
+  elements.autoLockSelect = document.getElementById('autoLockSelect');
+  elements.rotatePassphraseGroup = document.getElementById('rotatePassphraseGroup');
+  elements.rotationReport = document.getElementById('rotationReport');
+  elements.protectionList = document.getElementById('protectionList');
+  elements.protectionLog = document.getElementById('protectionLog');
   
   // Preset elements
   elements.presetSelect = document.getElementById('presetSelect');
   elements.presetHeader = document.getElementById('presetHeader');
   elements.presetContent = document.getElementById('presetContent');
+  elements.presetFilter = document.getElementById('presetFilter');
+  elements.presetSort = document.getElementById('presetSort');
+  elements.presetDetails = document.getElementById('presetDetails');
 }
 
 // ==================== Welcome Screen ====================
@@ -102,6 +167,234 @@ async function handleGetStarted() {
   }
 }
 
+// ==================== Vault ====================
+
+async function loadVaultStatus(promptIfLocked = false) {
+  try {
+    const response = await sendMessage('getVaultStatus');
+    
+    if (!response.success) {
+      throw new Error(response.error);
+    }
+    
+    vaultStatus = response;
+    renderVaultStatus();
+    
+    if (promptIfLocked && vaultStatus.locked) {
+      openUnlockModal();
+    }
+  } catch (error) {
+    showToast('Failed to load vault status: ' + error.message, 'error');
+  }
+}
+
+function renderVaultStatus() {
+  if (!vaultStatus) return;
+  
+  const { passphraseEnabled, locked, autoLockMinutes } = vaultStatus;
+  
+  elements.vaultLockBtn.classList.toggle('hidden', !passphraseEnabled);
+  elements.vaultLockBtn.textContent = locked ? '🔒' : '🔓';
+  elements.vaultLockBtn.title = locked ? 'Unlock vault' : 'Lock vault';
+  elements.vaultLockBtn.setAttribute('aria-label', elements.vaultLockBtn.title);
+  
+  if (!passphraseEnabled) {
+    elements.vaultStatusText.textContent = 'The master key is stored unprotected in browser storage. Set a passphrase to keep it encrypted at rest.';
+  } else if (locked) {
+    elements.vaultStatusText.textContent = 'Passphrase protection is on. The vault is locked.';
+  } else {
+    elements.vaultStatusText.textContent = 'Passphrase protection is on. The vault is unlocked for this session.';
+  }
+  
+  elements.vaultEnableGroup.classList.toggle('hidden', passphraseEnabled);
+  elements.vaultDisableGroup.classList.toggle('hidden', !passphraseEnabled);
+  elements.autoLockSelect.value = String(autoLockMinutes);
+  elements.rotatePassphraseGroup.classList.toggle('hidden', !passphraseEnabled);
+}
+
+function openUnlockModal() {
+  document.getElementById('unlockPassphrase').value = '';
+  openModal('unlockModal');
+  document.getElementById('unlockPassphrase').focus();
+}
+
+async function unlockVaultWithPassphrase() {
+  const passphrase = document.getElementById('unlockPassphrase').value;
+  
+  if (!passphrase) {
+    showToast('Passphrase is required', 'error');
+    return;
+  }
+  
+  try {
+    showLoading();
+    const response = await sendMessage('unlockVault', { passphrase });
+    
+    if (response.success) {
+      showToast('Vault unlocked');
+      closeModal('unlockModal');
+      document.getElementById('unlockPassphrase').value = '';
+      await loadVaultStatus();
+    } else {
+      throw new Error(response.error);
+    }
+  } catch (error) {
+    showToast('Failed to unlock vault: ' + error.message, 'error');
+  } finally {
+    hideLoading();
+  }
+}
+
+async function toggleVaultLock() {
+  if (vaultStatus && vaultStatus.locked) {
+    openUnlockModal();
+    return;
+  }
+  
+  try {
+    const response = await sendMessage('lockVault');
+    
+    if (response.success) {
+      showToast('Vault locked');
+      await loadVaultStatus();
+    } else {
+      throw new Error(response.error);
+    }
+  } catch (error) {
+    showToast('Failed to lock vault: ' + error.message, 'error');
+  }
+}
+
+async function enableVaultPassphrase() {
+  if (operationLock) {
+    showToast('Please wait for current operation to complete', 'error');
+    return;
+  }
+  
+  const passphrase = document.getElementById('vaultNewPassphrase').value;
+  const confirmation = document.getElementById('vaultConfirmPassphrase').value;
+  
+  if (passphrase !== confirmation) {
+    showToast('Passphrases do not match', 'error');
+    return;
+  }
+  
+  try {
+    operationLock = true;
+    showLoading();
+    const response = await sendMessage('enablePassphrase', { passphrase });
+    
+    if (response.success) {
+      showToast('Passphrase protection enabled');
+      document.getElementById('vaultNewPassphrase').value = '';
+      document.getElementById('vaultConfirmPassphrase').value = '';
+      await loadVaultStatus();
+    } else {
+      throw new Error(response.error);
+    }
+  } catch (error) {
+    showToast('Failed to enable passphrase: ' + error.message, 'error');
+  } finally {
+    operationLock = false;
+    hideLoading();
+  }
+}
+
+async function disableVaultPassphrase() {
+  if (operationLock) {
+    showToast('Please wait for current operation to complete', 'error');
+    return;
+  }
+  
+  const passphrase = document.getElementById('vaultCurrentPassphrase').value;
+  
+  if (!passphrase) {
+    showToast('Current passphrase is required', 'error');
+    return;
+  }
+  
+  try {
+    operationLock = true;
+    showLoading();
+    const response = await sendMessage('disablePassphrase', { passphrase });
+    
+    if (response.success) {
+      showToast('Passphrase protection disabled');
+      document.getElementById('vaultCurrentPassphrase').value = '';
+      await loadVaultStatus();
+    } else {
+      throw new Error(response.error);
+    }
+  } catch (error) {
+    showToast('Failed to disable passphrase: ' + error.message, 'error');
+  } finally {
+    operationLock = false;
+    hideLoading();
+  }
+}
+
+async function updateAutoLock() {
+  try {
+    const minutes = Number(elements.autoLockSelect.value);
+    const response = await sendMessage('setAutoLock', { minutes });
+    
+    if (response.success) {
+      showToast('Auto-lock updated');
+      await loadVaultStatus();
+    } else {
+      throw new Error(response.error);
+    }
+  } catch (error) {
+    showToast('Failed to update auto-lock: ' + error.message, 'error');
+  }
+}
+
+function rotateMasterKey() {
+  const passphrase = document.getElementById('rotatePassphrase').value;
+  
+  if (vaultStatus && vaultStatus.passphraseEnabled && !passphrase) {
+    showToast('Current passphrase is required', 'error');
+    return;
+  }
+  
+  showConfirmDialog(
+    'Rotate Master Key',
+    'Generate a new master key and re-encrypt all presets? Encrypted exports made with the old key will no longer import.',
+    async () => {
+      if (operationLock) {
+        showToast('Please wait for current operation to complete', 'error');
+        return;
+      }
+      
+      try {
+        operationLock = true;
+        showLoading();
+        const response = await sendMessage('rotateMasterKey', { passphrase });
+        
+        if (response.success) {
+          const report = `Master key rotated: ${response.migrated} preset${response.migrated === 1 ? '' : 's'} migrated`;
+          elements.rotationReport.textContent = report;
+          elements.rotationReport.classList.remove('hidden');
+          document.getElementById('rotatePassphrase').value = '';
+          showToast(report);
+          await loadVaultStatus();
+        } else {
+          if (response.errors) {
+            elements.rotationReport.textContent = 'Failed: ' + response.errors.map(e => `${e.name} (${e.error})`).join(', ');
+            elements.rotationReport.classList.remove('hidden');
+          }
+          throw new Error(response.error);
+        }
+      } catch (error) {
+        showToast('Failed to rotate master key: ' + error.message, 'error');
+      } finally {
+        operationLock = false;
+        hideLoading();
+      }
+    }
+  );
+}
+
 // ==================== Helper Functions ====================
 
 async function sendMessage(action, data = {}) {
@@ -110,6 +403,10 @@ async function sendMessage(action, data = {}) {
       if (chrome.runtime.lastError) {
         reject(new Error(chrome.runtime.lastError.message));
       } else {
+        // The change went through but can't be undone; show this after the caller's own toast
+        if (response && response.journaled === false) {
+          setTimeout(() => showToast(response.journalWarning, 'error'), 0);
+        }
         resolve(response);
       }
     });
@@ -182,9 +479,29 @@ function validateCookieForm() {
     return false;
   }
   
+  const partitionSite = document.getElementById('cookiePartition').value.trim();
+  if (partitionSite && !/^https:\/\/[^/]+\/?$/.test(partitionSite)) {
+    showToast('Partition site must be an https:// origin, e.g. https://example.com', 'error');
+    return false;
+  }
+  
+  if (partitionSite && !document.getElementById('cookieSecure').checked) {
+    showToast('Partitioned cookies must be Secure', 'error');
+    return false;
+  }
+  
   return true;
 }
 
+function readPartitionKey() {
+  const topLevelSite = document.getElementById('cookiePartition').value.trim().replace(/\/+$/, '');
+  if (!topLevelSite) return undefined;
+  
+  // Keep Chrome's extra partition attributes when the site is unchanged
+  const previous = currentEditCookie && currentEditCookie.partitionKey;
+  return previous && previous.topLevelSite === topLevelSite ? previous : { topLevelSite };
+}
+
 // ==================== Domain & Cookie Operations ====================
 
 async function loadCurrentDomain() {
@@ -192,6 +509,7 @@ async function loadCurrentDomain() {
     const response = await sendMessage('getCurrentTabDomain');
     if (response.success) {
       currentDomain = response.domain;
+      currentStoreId = response.storeId || '0';
       elements.currentDomain.textContent = currentDomain;
     } else {
       throw new Error(response.error);
@@ -202,13 +520,71 @@ async function loadCurrentDomain() {
   }
 }
 
+async function loadCookieStores() {
+  try {
+    const response = await sendMessage('getCookieStores');
+    if (!response.success) {
+      throw new Error(response.error);
+    }
+    
+    cookieStores = response.stores;
+    if (!cookieStores.some(store => store.id === currentStoreId)) {
+      currentStoreId = '0';
+    }
+  } catch (error) {
+    cookieStores = [];
+    showToast('Failed to load cookie stores: ' + error.message, 'error');
+  }
+  
+  // The switcher only matters while an incognito window is open
+  elements.storeSelect.innerHTML = '';
+  cookieStores.forEach(store => {
+    const option = document.createElement('option');
+    option.value = store.id;
+    option.textContent = store.incognito ? '🕶️ Incognito' : `🍪 ${store.label}`;
+    elements.storeSelect.appendChild(option);
+  });
+  elements.storeSelect.value = currentStoreId;
+  elements.storeSelect.classList.toggle('hidden', cookieStores.length < 2);
+  updateStoreActions();
+}
+
+function getCurrentStore() {
+  return cookieStores.find(store => store.id === currentStoreId) || null;
+}
+
+function getOtherStore() {
+  return cookieStores.find(store => store.id !== currentStoreId) || null;
+}
+
+function updateStoreActions() {
+  const other = getOtherStore();
+  const copyBtn = document.getElementById('batchCopyStoreBtn');
+  copyBtn.classList.toggle('hidden', !other);
+  if (other) {
+    copyBtn.title = `Copy selection to ${other.label.toLowerCase()} store`;
+  }
+  
+  const current = getCurrentStore();
+  elements.currentDomain.classList.toggle('incognito', !!(current && current.incognito));
+}
+
+async function switchCookieStore() {
+  currentStoreId = elements.storeSelect.value;
+  selectedCookieKeys.clear();
+  updateStoreActions();
+  await loadCookies();
+  await loadSwitchSnapshot();
+}
+
 async function loadCookies(domain = currentDomain) {
   try {
     showLoading();
-    const response = await sendMessage('getCookies', { domain });
+    const response = await sendMessage('getCookies', { domain, storeId: currentStoreId });
     
     if (response.success) {
       allCookies = response.cookies;
+      pruneSelection();
       updateDomainFilter();
       filterCookies();
     } else {
@@ -241,18 +617,20 @@ function updateDomainFilter() {
 }
 
 function filterCookies() {
-  const searchTerm = elements.searchInput.value.toLowerCase();
   const selectedDomain = elements.domainFilter.value;
+  let matching = allCookies;
   
-  filteredCookies = allCookies.filter(cookie => {
-    const matchesSearch = !searchTerm || 
-      cookie.name.toLowerCase().includes(searchTerm) ||
-      cookie.value.toLowerCase().includes(searchTerm);
-    
-    const matchesDomain = selectedDomain === 'all' || cookie.domain === selectedDomain;
-    
-    return matchesSearch && matchesDomain;
-  });
+  // An unfinished or invalid query leaves the list unfiltered and says why on hover
+  try {
+    matching = filterCookiesByQuery(allCookies, elements.searchInput.value);
+    elements.searchInput.classList.remove('invalid');
+    elements.searchInput.title = '';
+  } catch (error) {
+    elements.searchInput.classList.add('invalid');
+    elements.searchInput.title = error.message;
+  }
+  
+  filteredCookies = matching.filter(cookie => selectedDomain === 'all' || cookie.domain === selectedDomain);
   
   renderCookies(filteredCookies);
 }
@@ -268,13 +646,17 @@ function renderCookies(cookies) {
   elements.emptyState.style.display = 'none';
   elements.cookieList.innerHTML = '';
   
-  cookies.forEach(cookie => {
+  cookies.forEach((cookie, index) => {
+    const protectionRule = getProtectionRule(cookie);
     const cookieCard = document.createElement('div');
     cookieCard.className = 'cookie-card glass-card';
+    cookieCard.classList.toggle('protected', !!protectionRule);
+    cookieCard.classList.toggle('selected', selectedCookieKeys.has(cookieIdentityKey(cookie)));
     cookieCard.innerHTML = `
       <div class="cookie-header">
         <div class="cookie-name" title="${cookie.name}">${cookie.name}</div>
         <div class="cookie-actions">
+          <button class="icon-btn protect-cookie" title="${protectionRule ? 'Stop protecting' : 'Protect: restore this value if the site changes it'}">${protectionRule ? '📌' : '📍'}</button>
           <button class="icon-btn edit-cookie" title="Edit cookie">
             <svg width="16" height="16" viewBox="0 0 16 16" fill="none">
               <path d="M11.3333 2L14 4.66667L5.33333 13.3333H2.66667V10.6667L11.3333 2Z" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round"/>
@@ -296,9 +678,24 @@ function renderCookies(cookies) {
         ${cookie.secure ? '<span class="badge badge-secure">🔒 Secure</span>' : ''}
         ${cookie.httpOnly ? '<span class="badge badge-httponly">🚫 HttpOnly</span>' : ''}
         ${cookie.sameSite ? `<span class="badge badge-samesite">🔄 ${cookie.sameSite}</span>` : ''}
+        ${protectionRule ? '<span class="badge badge-protected">📌 Protected</span>' : ''}
+        ${cookie.partitionKey ? `<span class="badge badge-partitioned" title="Partitioned (CHIPS): only sent when embedded under ${cookie.partitionKey.topLevelSite}">🧩 ${cookie.partitionKey.topLevelSite}</span>` : ''}
       </div>
     `;
     
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.className = 'cookie-select';
+    checkbox.title = 'Select (shift-click for a range)';
+    checkbox.checked = selectedCookieKeys.has(cookieIdentityKey(cookie));
+    checkbox.addEventListener('click', (e) => toggleCookieSelection(index, checkbox.checked, e.shiftKey));
+    cookieCard.querySelector('.cookie-header').prepend(checkbox);
+    cookieCard.querySelector('.protect-cookie').addEventListener('click', () => toggleCookieProtection(cookie));
+    cookieCard.querySelector('.cookie-value').addEventListener('click', () => {
+      openEditCookieModal(cookie);
+      openValueInspector();
+    });
+    
     // Set cookie data using dataset property to avoid HTML encoding issues
     const editBtn = cookieCard.querySelector('.edit-cookie');
     const deleteBtn = cookieCard.querySelector('.delete-cookie');
@@ -323,32 +720,230 @@ function renderCookies(cookies) {
   });
 }
 
-async function addCookie() {
-  if (!validateCookieForm()) return;
+// ==================== Selection & Batch Actions ====================
+
+function getSelectedCookies() {
+  return allCookies.filter(cookie => selectedCookieKeys.has(cookieIdentityKey(cookie)));
+}
+
+function pruneSelection() {
+  const present = new Set(allCookies.map(cookieIdentityKey));
+  selectedCookieKeys = new Set([...selectedCookieKeys].filter(key => present.has(key)));
+  lastSelectedIndex = null;
+  updateSelectionBar();
+}
+
+function toggleCookieSelection(index, checked, extendRange) {
+  // Shift-click applies the clicked state to everything since the previous click
+  const from = extendRange && lastSelectedIndex !== null ? Math.min(lastSelectedIndex, index) : index;
+  const to = extendRange && lastSelectedIndex !== null ? Math.max(lastSelectedIndex, index) : index;
+  
+  filteredCookies.slice(from, to + 1).forEach(cookie => {
+    if (checked) {
+      selectedCookieKeys.add(cookieIdentityKey(cookie));
+    } else {
+      selectedCookieKeys.delete(cookieIdentityKey(cookie));
+    }
+  });
   
-  const cookieDetails = {
-    name: document.getElementById('cookieName').value.trim(),
-    value: document.getElementById('cookieValue').value.trim(),
-    domain: document.getElementById('cookieDomain').value.trim(),
-    path: document.getElementById('cookiePath').value.trim() || '/',
-    secure: document.getElementById('cookieSecure').checked,
-    httpOnly: document.getElementById('cookieHttpOnly').checked,
-    sameSite: document.getElementById('cookieSameSite').value
-  };
+  lastSelectedIndex = index;
+  renderCookies(filteredCookies);
+  updateSelectionBar();
+}
+
+function setAllSelected(selected) {
+  filteredCookies.forEach(cookie => {
+    if (selected) {
+      selectedCookieKeys.add(cookieIdentityKey(cookie));
+    } else {
+      selectedCookieKeys.delete(cookieIdentityKey(cookie));
+    }
+  });
   
-  const expiresInput = document.getElementById('cookieExpires').value;
-  if (expiresInput) {
-    const expiresDate = new Date(expiresInput);
-    cookieDetails.expirationDate = Math.floor(expiresDate.getTime() / 1000);
+  lastSelectedIndex = null;
+  renderCookies(filteredCookies);
+  updateSelectionBar();
+}
+
+function updateSelectionBar() {
+  const count = getSelectedCookies().length;
+  elements.selectionBar.classList.toggle('hidden', count === 0);
+  document.getElementById('selectionCount').textContent = `${count} selected`;
+}
+
+function batchDeleteSelected() {
+  const cookies = getSelectedCookies();
+  if (cookies.length === 0) return;
+  
+  showConfirmDialog(
+    'Delete Cookies',
+    `Delete ${cookies.length} selected cookie${cookies.length === 1 ? '' : 's'}? You can revert this from History.`,
+    async () => {
+      if (operationLock) {
+        showToast('Please wait for current operation to complete', 'error');
+        return;
+      }
+      
+      try {
+        operationLock = true;
+        showLoading();
+        const response = await sendMessage('batchDeleteCookies', { cookies: cookies.map(toCookieIdentity) });
+        
+        if (response.success) {
+          const failed = response.failed > 0
+            ? `, ${response.failed} could not be removed: ${response.errors.map(error => error.name).join(', ')}`
+            : '';
+          const notRestored = describeCollateralErrors(response.collateralErrors);
+          showToast(`${response.deleted} cookie${response.deleted === 1 ? '' : 's'} deleted${failed}${notRestored}`,
+            response.failed > 0 || notRestored ? 'error' : 'success');
+          await loadCookies();
+        } else {
+          throw new Error(response.error);
+        }
+      } catch (error) {
+        showToast('Failed to delete cookies: ' + error.message, 'error');
+      } finally {
+        operationLock = false;
+        hideLoading();
+      }
+    }
+  );
+}
+
+function openBatchEditModal() {
+  const count = getSelectedCookies().length;
+  if (count === 0) return;
+  
+  document.getElementById('batchEditSummary').textContent =
+    `Changes apply to ${count} selected cookie${count === 1 ? '' : 's'}. Fields left on "No change" are kept.`;
+  ['batchSameSite', 'batchSecure', 'batchHttpOnly', 'batchExtendDays'].forEach(id => {
+    document.getElementById(id).value = '';
+  });
+  openModal('batchEditModal');
+}
+
+async function applyBatchEdit() {
+  const cookies = getSelectedCookies();
+  const sameSite = document.getElementById('batchSameSite').value;
+  const secure = document.getElementById('batchSecure').value;
+  const httpOnly = document.getElementById('batchHttpOnly').value;
+  const extendDays = parseInt(document.getElementById('batchExtendDays').value, 10);
+  
+  const changes = {};
+  if (sameSite) changes.sameSite = sameSite;
+  if (secure) changes.secure = secure === 'true';
+  if (httpOnly) changes.httpOnly = httpOnly === 'true';
+  if (extendDays > 0) changes.extendDays = extendDays;
+  
+  if (Object.keys(changes).length === 0) {
+    showToast('Choose at least one change', 'error');
+    return;
+  }
+  
+  if (operationLock) {
+    showToast('Please wait for current operation to complete', 'error');
+    return;
   }
   
   try {
+    operationLock = true;
     showLoading();
-    const response = await sendMessage('setCookie', { cookieDetails });
+    const response = await sendMessage('batchUpdateCookies', { cookies, changes });
     
     if (response.success) {
-      showToast('Cookie added successfully');
-      closeModal('cookieModal');
+      const failed = response.failed > 0 ? `, ${response.failed} failed` : '';
+      showToast(`${response.updated} cookie${response.updated === 1 ? '' : 's'} updated${failed}`,
+        response.failed > 0 ? 'error' : 'success');
+      closeModal('batchEditModal');
+      await loadCookies();
+    } else {
+      throw new Error(response.error);
+    }
+  } catch (error) {
+    showToast('Failed to update cookies: ' + error.message, 'error');
+  } finally {
+    operationLock = false;
+    hideLoading();
+  }
+}
+
+function copySelectionToOtherStore() {
+  const cookies = getSelectedCookies();
+  const target = getOtherStore();
+  if (cookies.length === 0 || !target) return;
+  
+  showConfirmDialog(
+    'Copy Cookies',
+    `Copy ${cookies.length} selected cookie${cookies.length === 1 ? '' : 's'} to the ${target.label.toLowerCase()} store? Cookies with the same name there are overwritten.`,
+    async () => {
+      if (operationLock) {
+        showToast('Please wait for current operation to complete', 'error');
+        return;
+      }
+      
+      try {
+        operationLock = true;
+        showLoading();
+        const response = await sendMessage('copyCookiesToStore', { cookies, storeId: target.id });
+        
+        if (response.success) {
+          const failed = response.failed > 0 ? `, ${response.failed} failed` : '';
+          showToast(`${response.copied} cookie${response.copied === 1 ? '' : 's'} copied to ${target.label.toLowerCase()}${failed}`,
+            response.failed > 0 ? 'error' : 'success');
+        } else {
+          throw new Error(response.error);
+        }
+      } catch (error) {
+        showToast('Failed to copy cookies: ' + error.message, 'error');
+      } finally {
+        operationLock = false;
+        hideLoading();
+      }
+    }
+  );
+}
+
+function exportSelectedCookies() {
+  exportSelection = getSelectedCookies();
+  document.getElementById('exportUrl').value = currentDomain ? `https://${currentDomain}/` : '';
+  exportCurrentCookies();
+}
+
+function saveSelectionAsPreset() {
+  presetSaveSelection = getSelectedCookies();
+  document.getElementById('presetName').value = '';
+  document.getElementById('presetNote').value = '';
+  openModal('presetSaveModal');
+}
+
+async function addCookie() {
+  if (!validateCookieForm()) return;
+  
+  const cookieDetails = {
+    name: document.getElementById('cookieName').value.trim(),
+    value: document.getElementById('cookieValue').value.trim(),
+    domain: document.getElementById('cookieDomain').value.trim(),
+    path: document.getElementById('cookiePath').value.trim() || '/',
+    secure: document.getElementById('cookieSecure').checked,
+    httpOnly: document.getElementById('cookieHttpOnly').checked,
+    sameSite: document.getElementById('cookieSameSite').value,
+    storeId: currentStoreId,
+    partitionKey: readPartitionKey()
+  };
+  
+  const expiresInput = document.getElementById('cookieExpires').value;
+  if (expiresInput) {
+    const expiresDate = new Date(expiresInput);
+    cookieDetails.expirationDate = Math.floor(expiresDate.getTime() / 1000);
+  }
+  
+  try {
+    showLoading();
+    const response = await sendMessage('setCookie', { cookieDetails });
+    
+    if (response.success) {
+      showToast('Cookie added successfully');
+      closeModal('cookieModal');
       await loadCookies();
     } else {
       throw new Error(response.error);
@@ -371,6 +966,7 @@ function openEditCookieModal(cookie) {
   document.getElementById('cookieSecure').checked = cookie.secure || false;
   document.getElementById('cookieHttpOnly').checked = cookie.httpOnly || false;
   document.getElementById('cookieSameSite').value = cookie.sameSite || 'no_restriction';
+  document.getElementById('cookiePartition').value = cookie.partitionKey ? cookie.partitionKey.topLevelSite : '';
   
   if (cookie.expirationDate && !cookie.session) {
     const date = new Date(cookie.expirationDate * 1000);
@@ -398,7 +994,9 @@ async function updateCookie() {
     path: document.getElementById('cookiePath').value.trim() || '/',
     secure: document.getElementById('cookieSecure').checked,
     httpOnly: document.getElementById('cookieHttpOnly').checked,
-    sameSite: document.getElementById('cookieSameSite').value
+    sameSite: document.getElementById('cookieSameSite').value,
+    storeId: currentStoreId,
+    partitionKey: readPartitionKey()
   };
   
   const expiresInput = document.getElementById('cookieExpires').value;
@@ -440,22 +1038,15 @@ async function handleDeleteCookie(cookie) {
         operationLock = true;
         showLoading();
         
-        const cleanDomain = cookie.domain.startsWith('.') ? cookie.domain.substring(1) : cookie.domain;
-        let url = `https://${cleanDomain}`;
-        
-        let response = await sendMessage('deleteCookie', {
-          cookieDetails: { url, name: cookie.name }
-        });
-        
-        if (!response.success && !cookie.secure) {
-          url = `http://${cleanDomain}`;
-          response = await sendMessage('deleteCookie', {
-            cookieDetails: { url, name: cookie.name }
-          });
-        }
+        const response = await sendMessage('deleteCookie', { cookie: toCookieIdentity(cookie) });
         
         if (response.success) {
-          showToast('Cookie deleted successfully');
+          const notRestored = describeCollateralErrors(response.collateralErrors);
+          if (notRestored) {
+            showToast(`Cookie deleted${notRestored}`, 'error');
+          } else {
+            showToast(response.removed ? 'Cookie deleted successfully' : 'Cookie was already gone');
+          }
           await loadCookies();
         } else {
           throw new Error(response.error);
@@ -470,6 +1061,88 @@ async function handleDeleteCookie(cookie) {
   );
 }
 
+// Chrome removes same-named cookies the target's URL receives; say which couldn't be put back
+function describeCollateralErrors(errors) {
+  if (!errors || errors.length === 0) return '';
+  const names = errors.map(error => `${error.name} (${error.domain}${error.path || '/'})`).join(', ');
+  return `; Chrome also removed ${names} and it could not be put back. Revert it from History`;
+}
+
+// ==================== Value Inspector ====================
+
+function openValueInspector() {
+  valueInspection = inspectCookieValue(document.getElementById('cookieValue').value);
+  const jwt = valueInspection.layers.find(layer => layer.type === 'jwt');
+  
+  document.getElementById('inspectorLayers').textContent = `Detected: ${describeValueLayers(valueInspection)}`;
+  document.getElementById('inspectorJwt').classList.toggle('hidden', !jwt);
+  if (jwt) {
+    renderJwtDetails(jwt);
+  }
+  
+  document.getElementById('inspectorTextLabel').textContent =
+    jwt ? 'Payload' : (valueInspection.format === 'json' ? 'Decoded JSON' : 'Decoded value');
+  document.getElementById('inspectorText').value = valueInspection.text;
+  
+  let hint = valueInspection.layers.length > 0
+    ? 'Edits are encoded the same way again when you apply them.'
+    : 'No encoding detected; the value is shown as is.';
+  if (jwt) {
+    hint += ' Editing the payload keeps the old signature, so servers that verify it will reject the token.';
+  }
+  const json = valueInspection.layers.find(layer => layer.type === 'json');
+  if (json && json.unsafeIntegers.length > 0) {
+    hint += ` ${json.unsafeIntegers.join(', ')} ${json.unsafeIntegers.length === 1 ? 'is' : 'are'} too large ` +
+      'to show exactly and would be rounded, so edits can only be applied in the raw value.';
+  }
+  document.getElementById('inspectorHint').textContent = hint;
+  
+  openModal('valueInspectorModal');
+}
+
+function formatRelativeTime(seconds) {
+  const abs = Math.abs(seconds);
+  const [amount, unit] = abs < 3600 ? [Math.round(abs / 60), 'min']
+    : abs < 86400 ? [Math.round(abs / 3600), 'h']
+    : [Math.round(abs / 86400), 'd'];
+  return seconds >= 0 ? `in ${amount} ${unit}` : `${amount} ${unit} ago`;
+}
+
+function renderJwtDetails(jwt) {
+  const now = Date.now() / 1000;
+  
+  document.getElementById('inspectorJwtHeader').textContent = JSON.stringify(jwt.header, null, 2);
+  
+  const times = document.getElementById('inspectorJwtTimes');
+  times.innerHTML = '';
+  jwt.times.claims.forEach(claim => {
+    const line = document.createElement('div');
+    line.className = 'preview-detail';
+    line.textContent = `${claim.name}: ${formatDate(claim.timestamp)} (${formatRelativeTime(claim.timestamp - now)})`;
+    times.appendChild(line);
+  });
+  
+  const warning = document.getElementById('inspectorJwtWarning');
+  warning.textContent = jwt.times.warning ? `⚠️ ${jwt.times.warning}` : '';
+  warning.classList.toggle('hidden', !jwt.times.warning);
+}
+
+function applyValueInspector() {
+  if (!valueInspection) return;
+  
+  try {
+    const value = encodeCookieValue(valueInspection, document.getElementById('inspectorText').value);
+    const changed = value !== valueInspection.original;
+    document.getElementById('cookieValue').value = value;
+    closeModal('valueInspectorModal');
+    if (changed) {
+      showToast('Value updated; save the cookie to apply it');
+    }
+  } catch (error) {
+    showToast(error.message, 'error');
+  }
+}
+
 // ==================== Preset Management ====================
 
 async function loadPresets() {
@@ -477,15 +1150,8 @@ async function loadPresets() {
     const response = await sendMessage('getPresets');
     
     if (response.success) {
-      const presets = response.presets;
-      elements.presetSelect.innerHTML = '<option value="">Select a preset...</option>';
-      
-      presets.forEach(presetName => {
-        const option = document.createElement('option');
-        option.value = presetName;
-        option.textContent = presetName;
-        elements.presetSelect.appendChild(option);
-      });
+      presetList = response.presets;
+      renderPresetOptions();
     } else {
       throw new Error(response.error);
     }
@@ -494,6 +1160,129 @@ async function loadPresets() {
   }
 }
 
+// Missing values (presets saved before metadata existed) always sort last
+const PRESET_SORTERS = {
+  name: (a, b) => a.name.localeCompare(b.name),
+  updated: (a, b) => (b.updatedAt || 0) - (a.updatedAt || 0),
+  created: (a, b) => (b.createdAt || 0) - (a.createdAt || 0),
+  domain: (a, b) => (a.domain || '\uffff').localeCompare(b.domain || '\uffff'),
+  count: (a, b) => (b.cookieCount || 0) - (a.cookieCount || 0),
+  expiry: (a, b) => (a.earliestExpiry || Infinity) - (b.earliestExpiry || Infinity)
+};
+
+function getSelectedPreset() {
+  return presetList.find(preset => preset.name === elements.presetSelect.value) || null;
+}
+
+// Presets captured on the current site or one of its parent domains; untagged presets
+// could belong anywhere, so they are never hidden
+function isPresetForCurrentSite(preset) {
+  return !preset.domain || !currentDomain || domainMatches(preset.domain, currentDomain);
+}
+
+function createPresetOption(preset) {
+  const option = document.createElement('option');
+  option.value = preset.name;
+  option.textContent = preset.domain ? `${preset.name} — ${preset.domain}` : preset.name;
+  return option;
+}
+
+function renderPresetOptions() {
+  const selected = elements.presetSelect.value;
+  const query = elements.presetFilter.value.trim().toLowerCase();
+  const sorter = PRESET_SORTERS[elements.presetSort.value] || PRESET_SORTERS.name;
+  const showAll = document.getElementById('showAllPresets').checked;
+  
+  const matching = presetList
+    .filter(preset => !query || [preset.name, preset.domain, preset.note]
+      .some(field => field && field.toLowerCase().includes(query)))
+    .sort((a, b) => sorter(a, b) || a.name.localeCompare(b.name));
+  const forSite = matching.filter(isPresetForCurrentSite);
+  const otherSites = matching.filter(preset => !isPresetForCurrentSite(preset));
+  
+  const placeholder = document.createElement('option');
+  placeholder.value = '';
+  placeholder.textContent = !showAll && otherSites.length > 0
+    ? `Select a preset... (${otherSites.length} more on other sites)`
+    : 'Select a preset...';
+  
+  elements.presetSelect.innerHTML = '';
+  elements.presetSelect.appendChild(placeholder);
+  
+  if (showAll && forSite.length > 0 && otherSites.length > 0) {
+    [[`This site (${currentDomain})`, forSite], ['Other sites', otherSites]].forEach(([label, presets]) => {
+      const group = document.createElement('optgroup');
+      group.label = label;
+      presets.forEach(preset => group.appendChild(createPresetOption(preset)));
+      elements.presetSelect.appendChild(group);
+    });
+  } else {
+    (showAll ? matching : forSite).forEach(preset => {
+      elements.presetSelect.appendChild(createPresetOption(preset));
+    });
+  }
+  
+  const visible = showAll ? matching : forSite;
+  elements.presetSelect.value = visible.some(preset => preset.name === selected) ? selected : '';
+  renderPresetDetails();
+}
+
+function renderPresetDetails() {
+  const preset = getSelectedPreset();
+  elements.presetDetails.classList.toggle('hidden', !preset);
+  if (!preset) return;
+  
+  const parts = [];
+  if (preset.domain) parts.push(`🌐 ${preset.domain}`);
+  if (preset.cookieCount !== null) parts.push(`🍪 ${preset.cookieCount} cookie${preset.cookieCount === 1 ? '' : 's'}`);
+  if (preset.cookieCount !== null) parts.push(`⏰ ${preset.earliestExpiry ? 'expires ' + formatDate(preset.earliestExpiry) : 'session only'}`);
+  if (preset.createdAt) parts.push(`Created ${new Date(preset.createdAt).toLocaleString()}`);
+  if (preset.updatedAt && preset.updatedAt !== preset.createdAt) {
+    parts.push(`Updated ${new Date(preset.updatedAt).toLocaleString()}`);
+  }
+  
+  document.getElementById('presetMetaText').textContent = parts.length > 0
+    ? parts.join(' · ')
+    : 'No details yet; they are recorded the next time this preset is loaded';
+  document.getElementById('presetNoteText').textContent = preset.note || '';
+}
+
+// Presets from this site are restored as captured; presets from elsewhere are retargeted
+function suggestPresetPlacement() {
+  const preset = getSelectedPreset();
+  if (!preset) return;
+  
+  const sameSite = !preset.domain || !currentDomain || domainsRelated(preset.domain, currentDomain);
+  document.getElementById('presetPlacement').value = sameSite ? 'original' : 'retarget';
+}
+
+function openPresetNoteModal() {
+  const preset = getSelectedPreset();
+  if (!preset) return;
+  
+  document.getElementById('presetNoteInput').value = preset.note || '';
+  openModal('presetNoteModal');
+}
+
+async function savePresetNote() {
+  const preset = getSelectedPreset();
+  if (!preset) return;
+  
+  try {
+    const note = document.getElementById('presetNoteInput').value;
+    const response = await sendMessage('updatePresetNote', { presetName: preset.name, note });
+    
+    if (!response.success) {
+      throw new Error(response.error);
+    }
+    
+    closeModal('presetNoteModal');
+    await loadPresets();
+  } catch (error) {
+    showToast('Failed to save note: ' + error.message, 'error');
+  }
+}
+
 async function saveCurrentAsPreset() {
   if (operationLock) {
     showToast('Please wait for current operation to complete', 'error');
@@ -510,23 +1299,30 @@ async function saveCurrentAsPreset() {
   try {
     operationLock = true;
     showLoading();
-    const cookiesResponse = await sendMessage('getCookies', { domain: currentDomain });
+    let cookies = presetSaveSelection;
     
-    if (!cookiesResponse.success) {
-      throw new Error(cookiesResponse.error);
+    if (!cookies) {
+      const cookiesResponse = await sendMessage('getCookies', { domain: currentDomain, storeId: currentStoreId });
+      
+      if (!cookiesResponse.success) {
+        throw new Error(cookiesResponse.error);
+      }
+      
+      cookies = cookiesResponse.cookies;
     }
     
-    const cookies = cookiesResponse.cookies;
     if (cookies.length === 0) {
       throw new Error('No cookies to save for this domain');
     }
     
-    const response = await sendMessage('savePreset', { presetName, cookies });
+    const note = document.getElementById('presetNote').value.trim();
+    const response = await sendMessage('savePreset', { presetName, cookies, domain: currentDomain, note });
     
     if (response.success) {
       showToast('Preset saved successfully');
       closeModal('presetSaveModal');
       document.getElementById('presetName').value = '';
+      document.getElementById('presetNote').value = '';
       await loadPresets();
     } else {
       throw new Error(response.error);
@@ -547,9 +1343,22 @@ async function applySelectedPreset() {
     return;
   }
   
+  const mode = document.getElementById('switchAccountMode').checked ? 'switch' : 'merge';
+  const placement = document.getElementById('presetPlacement').value;
+  const reloadTab = document.getElementById('reloadAfterApply').checked;
+  const preset = getSelectedPreset();
+  const crossSite = placement !== 'original' && preset && preset.domain &&
+    !domainsRelated(preset.domain, currentDomain);
+  const warning = crossSite
+    ? ` ⚠️ This preset was captured on ${preset.domain}, not ${currentDomain}.`
+    : '';
+  const action = mode === 'switch'
+    ? `Switch ${currentDomain} to preset "${presetName}"? Its current cookies are removed first; you can undo the switch.`
+    : `Load preset "${presetName}" to ${currentDomain}? This will add cookies from the preset.`;
+  
   showConfirmDialog(
-    'Load Preset',
-    `Load preset "${presetName}" to ${currentDomain}? This will add cookies from the preset.`,
+    crossSite ? 'Load Preset From Another Site' : (mode === 'switch' ? 'Switch Account' : 'Load Preset'),
+    action + warning,
     async () => {
       if (operationLock) {
         showToast('Please wait for current operation to complete', 'error');
@@ -559,14 +1368,23 @@ async function applySelectedPreset() {
       try {
         operationLock = true;
         showLoading();
-        const response = await sendMessage('applyPreset', { presetName, domain: currentDomain });
+        const response = await sendMessage('applyPreset', {
+          presetName,
+          domain: currentDomain,
+          mode,
+          placement,
+          reloadTab,
+          storeId: currentStoreId
+        });
         
         if (response.success) {
           const message = response.applied > 0 
             ? `Preset loaded: ${response.applied} cookie${response.applied > 1 ? 's' : ''} applied`
             : 'Preset loaded but no cookies were applied';
-          showToast(message);
+          showToast(mode === 'switch' ? `${message}, ${response.removed} removed` : message);
           await loadCookies();
+          await loadPresets();
+          await loadSwitchSnapshot();
         } else {
           throw new Error(response.error);
         }
@@ -580,6 +1398,62 @@ async function applySelectedPreset() {
   );
 }
 
+async function loadSwitchSnapshot() {
+  const bar = document.getElementById('undoSwitchBar');
+  
+  try {
+    const response = currentDomain
+      ? await sendMessage('getSwitchSnapshot', { domain: currentDomain, storeId: currentStoreId })
+      : { success: true, snapshot: null };
+    
+    if (!response.success) {
+      throw new Error(response.error);
+    }
+    
+    const snapshot = response.snapshot;
+    bar.classList.toggle('hidden', !snapshot);
+    if (snapshot) {
+      document.getElementById('undoSwitchText').textContent =
+        `Switched to "${snapshot.presetName}" at ${new Date(snapshot.takenAt).toLocaleTimeString()}`;
+    }
+  } catch (error) {
+    bar.classList.add('hidden');
+  }
+}
+
+function undoLastSwitch() {
+  showConfirmDialog(
+    'Undo Switch',
+    `Restore the cookies ${currentDomain} had before the last account switch? Cookies set since then are removed.`,
+    async () => {
+      if (operationLock) {
+        showToast('Please wait for current operation to complete', 'error');
+        return;
+      }
+      
+      try {
+        operationLock = true;
+        showLoading();
+        const reloadTab = document.getElementById('reloadAfterApply').checked;
+        const response = await sendMessage('undoSwitch', { domain: currentDomain, reloadTab, storeId: currentStoreId });
+        
+        if (response.success) {
+          showToast(`Switch undone: ${response.restored} cookie${response.restored === 1 ? '' : 's'} restored`);
+          await loadCookies();
+          await loadSwitchSnapshot();
+        } else {
+          throw new Error(response.error);
+        }
+      } catch (error) {
+        showToast('Failed to undo switch: ' + error.message, 'error');
+      } finally {
+        operationLock = false;
+        hideLoading();
+      }
+    }
+  );
+}
+
 async function deleteSelectedPreset() {
   const presetName = elements.presetSelect.value;
   
@@ -606,6 +1480,7 @@ async function deleteSelectedPreset() {
           showToast('Preset deleted successfully');
           await loadPresets();
           elements.presetSelect.value = '';
+          renderPresetDetails();
         } else {
           throw new Error(response.error);
         }
@@ -660,6 +1535,7 @@ async function confirmRenamePreset() {
       closeModal('presetRenameModal');
       await loadPresets();
       elements.presetSelect.value = newName;
+      renderPresetDetails();
     } else {
       throw new Error(response.error);
     }
@@ -671,80 +1547,1377 @@ async function confirmRenamePreset() {
   }
 }
 
-// ==================== Import/Export ====================
+// ==================== History ====================
 
-async function exportCurrentCookies() {
-  const encrypted = document.getElementById('exportEncrypted').checked;
-  
+async function openHistory() {
+  openModal('historyModal');
+  await loadHistory();
+}
+
+async function loadHistory() {
   try {
-    showLoading();
-    const response = await sendMessage('exportCookies', { domain: currentDomain, encrypted });
+    const response = await sendMessage('getJournal');
     
-    if (response.success) {
-      document.getElementById('exportData').value = response.data;
-      openModal('exportModal');
-    } else {
+    if (!response.success) {
       throw new Error(response.error);
     }
+    
+    renderHistory(response.batches);
   } catch (error) {
-    showToast('Failed to export cookies: ' + error.message, 'error');
-  } finally {
-    hideLoading();
+    showToast('Failed to load history: ' + error.message, 'error');
   }
 }
 
-async function copyExportData() {
-  const exportData = document.getElementById('exportData').value;
+function describeJournalEntry(entry) {
+  const cookie = entry.after || entry.before;
+  const where = `${cookie.name} @ ${cookie.domain}${cookie.path}`;
+  
+  if (!entry.before) return `➕ ${where} = ${truncateValue(entry.after.value)}`;
+  if (!entry.after) return `➖ ${where} (was ${truncateValue(entry.before.value)})`;
+  if (entry.before.value === entry.after.value) return `✏️ ${where} (attributes changed)`;
+  return `✏️ ${where}: ${truncateValue(entry.before.value)} → ${truncateValue(entry.after.value)}`;
+}
+
+function renderHistory(batches) {
+  elements.historyList.innerHTML = '';
+  
+  if (batches.length === 0) {
+    const empty = document.createElement('p');
+    empty.className = 'settings-hint';
+    empty.textContent = 'No changes recorded yet.';
+    elements.historyList.appendChild(empty);
+    return;
+  }
+  
+  batches.forEach(batch => {
+    const fullyReverted = batch.revertedEntries.length >= batch.count;
+    const item = document.createElement('div');
+    item.className = 'history-item' + (fullyReverted ? ' reverted' : '');
+    
+    const row = document.createElement('div');
+    row.className = 'history-row';
+    
+    const text = document.createElement('div');
+    const label = document.createElement('div');
+    label.className = 'history-label';
+    label.textContent = batch.label;
+    const time = document.createElement('div');
+    time.className = 'history-time';
+    const reverted = batch.revertedEntries.length > 0
+      ? ` · ${fullyReverted ? 'reverted' : `${batch.revertedEntries.length} reverted`}`
+      : '';
+    time.textContent = `${new Date(batch.createdAt).toLocaleString()} · ${batch.count} change${batch.count === 1 ? '' : 's'}${reverted}`;
+    text.append(label, time);
+    
+    const buttons = document.createElement('div');
+    buttons.className = 'history-buttons';
+    const detailsBtn = document.createElement('button');
+    detailsBtn.className = 'link-btn';
+    detailsBtn.textContent = 'Details';
+    detailsBtn.addEventListener('click', () => toggleHistoryDetails(batch, item));
+    buttons.appendChild(detailsBtn);
+    
+    if (!fullyReverted) {
+      const revertBtn = document.createElement('button');
+      revertBtn.className = 'link-btn';
+      revertBtn.textContent = 'Revert';
+      revertBtn.addEventListener('click', () => revertHistory(batch));
+      buttons.appendChild(revertBtn);
+    }
+    
+    row.append(text, buttons);
+    item.appendChild(row);
+    elements.historyList.appendChild(item);
+  });
+}
+
+async function toggleHistoryDetails(batch, item) {
+  const existing = item.querySelector('.history-entries');
+  if (existing) {
+    existing.remove();
+    return;
+  }
   
   try {
-    await navigator.clipboard.writeText(exportData);
-    showToast('Copied to clipboard!');
+    const response = await sendMessage('getJournalEntries', { batchId: batch.id });
+    
+    if (!response.success) {
+      throw new Error(response.error);
+    }
+    
+    const list = document.createElement('div');
+    list.className = 'history-entries';
+    
+    response.entries.forEach(entry => {
+      const row = document.createElement('div');
+      row.className = 'history-row';
+      
+      const text = document.createElement('div');
+      text.className = 'history-entry';
+      text.textContent = describeJournalEntry(entry) + (entry.reverted ? ' (reverted)' : '');
+      row.appendChild(text);
+      
+      if (!entry.reverted) {
+        const revertBtn = document.createElement('button');
+        revertBtn.className = 'link-btn';
+        revertBtn.textContent = 'Revert';
+        revertBtn.addEventListener('click', () => revertHistory(batch, entry.index));
+        row.appendChild(revertBtn);
+      }
+      
+      list.appendChild(row);
+    });
+    
+    item.appendChild(list);
   } catch (error) {
-    showToast('Failed to copy: ' + error.message, 'error');
+    showToast('Failed to load details: ' + error.message, 'error');
   }
 }
 
-async function importCookiesData() {
-  const jsonData = document.getElementById('importData').value.trim();
-  const encrypted = document.getElementById('importEncrypted').checked;
-  
-  if (!jsonData) {
-    showToast('Please paste cookie data', 'error');
+async function revertHistory(batch, entryIndex) {
+  if (operationLock) {
+    showToast('Please wait for current operation to complete', 'error');
     return;
   }
   
   try {
+    operationLock = true;
     showLoading();
-    const response = await sendMessage('importCookies', { jsonData, encrypted });
+    const response = await sendMessage('revertJournal', { batchId: batch.id, entryIndex });
     
     if (response.success) {
-      showToast(`Import successful: ${response.imported} cookies imported`);
-      closeModal('importModal');
-      document.getElementById('importData').value = '';
+      const failed = response.failed > 0 ? `, ${response.failed} failed` : '';
+      showToast(`Reverted ${response.reverted} change${response.reverted === 1 ? '' : 's'}${failed}`);
+      await loadHistory();
       await loadCookies();
     } else {
       throw new Error(response.error);
     }
   } catch (error) {
-    showToast('Failed to import cookies: ' + error.message, 'error');
+    showToast('Failed to revert: ' + error.message, 'error');
   } finally {
+    operationLock = false;
     hideLoading();
   }
 }
 
-// ==================== Modal Management ====================
+function clearHistory() {
+  showConfirmDialog(
+    'Clear History',
+    'Delete all recorded changes? They can no longer be reverted afterwards.',
+    async () => {
+      try {
+        const response = await sendMessage('clearJournal');
+        
+        if (!response.success) {
+          throw new Error(response.error);
+        }
+        
+        await loadHistory();
+      } catch (error) {
+        showToast('Failed to clear history: ' + error.message, 'error');
+      }
+    }
+  );
+}
 
-function openModal(modalId) {
-  const modal = document.getElementById(modalId);
-  if (modal) {
-    modal.style.display = 'flex';
-    setTimeout(() => modal.classList.add('active'), 10);
+// ==================== Protection ====================
+
+async function loadProtectionRules() {
+  try {
+    const response = await sendMessage('getProtectionRules');
+    
+    if (!response.success) {
+      throw new Error(response.error);
+    }
+    
+    protectionRules = response.rules;
+    renderProtectionSettings(response.rules, response.log);
+  } catch (error) {
+    showToast('Failed to load protected cookies: ' + error.message, 'error');
   }
 }
 
-function closeModal(modalId) {
-  const modal = document.getElementById(modalId);
-  if (modal) {
+function getProtectionRule(cookie) {
+  const key = cookieIdentityKey(cookie);
+  return protectionRules.find(rule => rule.key === key);
+}
+
+async function toggleCookieProtection(cookie) {
+  if (operationLock) {
+    showToast('Please wait for current operation to complete', 'error');
+    return;
+  }
+  
+  const rule = getProtectionRule(cookie);
+  
+  try {
+    operationLock = true;
+    const response = rule
+      ? await sendMessage('unprotectCookie', { key: rule.key })
+      : await sendMessage('protectCookie', { cookie });
+    
+    if (!response.success) {
+      throw new Error(response.error);
+    }
+    
+    showToast(rule ? `"${cookie.name}" is no longer protected` : `"${cookie.name}" is protected`);
+    await loadProtectionRules();
+    renderCookies(filteredCookies);
+  } catch (error) {
+    showToast('Failed to update protection: ' + error.message, 'error');
+  } finally {
+    operationLock = false;
+  }
+}
+
+function renderProtectionSettings(rules, log) {
+  elements.protectionList.innerHTML = '';
+  elements.protectionLog.innerHTML = '';
+  
+  if (rules.length === 0) {
+    const empty = document.createElement('p');
+    empty.className = 'settings-hint';
+    empty.textContent = 'No protected cookies. Use 📍 on a cookie to protect it.';
+    elements.protectionList.appendChild(empty);
+  }
+  
+  rules.forEach(rule => {
+    const item = document.createElement('div');
+    item.className = 'history-item history-row';
+    
+    const text = document.createElement('div');
+    const label = document.createElement('div');
+    label.className = 'history-label';
+    label.textContent = `${rule.cookie.name} @ ${rule.cookie.domain}${rule.cookie.path}`;
+    const time = document.createElement('div');
+    time.className = 'history-time';
+    time.textContent = rule.lastRestoredAt
+      ? `Restored ${rule.restoreCount}× · last ${new Date(rule.lastRestoredAt).toLocaleString()}`
+      : 'Not restored yet';
+    text.append(label, time);
+    
+    const removeBtn = document.createElement('button');
+    removeBtn.className = 'link-btn';
+    removeBtn.textContent = 'Unprotect';
+    removeBtn.addEventListener('click', () => toggleCookieProtection(rule.cookie));
+    
+    item.append(text, removeBtn);
+    elements.protectionList.appendChild(item);
+  });
+  
+  log.slice(0, 20).forEach(entry => {
+    const line = document.createElement('div');
+    line.className = 'history-entry';
+    const what = entry.reason === 'removed' ? 'removed' : `changed (${entry.fields.join(', ')})`;
+    const outcome = entry.restored ? 'restored' : `not restored: ${entry.error}`;
+    line.textContent = `${new Date(entry.timestamp).toLocaleTimeString()} · ${entry.name} @ ${entry.domain} ${what}, ${outcome}`;
+    elements.protectionLog.appendChild(line);
+  });
+  
+  elements.protectionLog.classList.toggle('hidden', log.length === 0);
+}
+
+// ==================== Preset Triggers ====================
+
+const TRIGGER_LABELS = {
+  startup: 'On browser start',
+  schedule: 'Scheduled',
+  navigation: 'On navigation'
+};
+
+function describeTrigger(trigger) {
+  const mode = trigger.mode === 'switch' ? ', switch account' : '';
+  const reload = trigger.reloadTab ? ', reload' : '';
+  
+  switch (trigger.type) {
+    case 'schedule':
+      return `Every ${trigger.intervalMinutes} min onto ${trigger.domain}${mode}${reload}`;
+    case 'navigation':
+      return `When a tab opens ${trigger.domain} (at most every ${trigger.cooldownMinutes} min)${mode}${reload}`;
+    default:
+      return `On browser start onto ${trigger.domain}${mode}${reload}`;
+  }
+}
+
+async function openTriggers() {
+  const preset = getSelectedPreset();
+  if (!preset) return;
+  
+  document.getElementById('triggersTitle').textContent = `Automatic Loading: ${preset.name}`;
+  document.getElementById('triggerType').value = 'startup';
+  document.getElementById('triggerDomain').value = preset.domain || currentDomain;
+  document.getElementById('triggerSwitchMode').checked = false;
+  document.getElementById('triggerReload').checked = false;
+  updateTriggerForm();
+  openModal('triggersModal');
+  await loadTriggers();
+}
+
+function updateTriggerForm() {
+  const type = document.getElementById('triggerType').value;
+  document.getElementById('triggerIntervalGroup').classList.toggle('hidden', type !== 'schedule');
+  document.getElementById('triggerCooldownGroup').classList.toggle('hidden', type !== 'navigation');
+  document.getElementById('triggerDomainLabel').textContent = type === 'navigation'
+    ? 'Site (subdomains included)'
+    : 'Load onto domain';
+}
+
+async function loadTriggers() {
+  const preset = getSelectedPreset();
+  if (!preset) return;
+  
+  try {
+    const response = await sendMessage('getPresetTriggers', { presetName: preset.name });
+    
+    if (!response.success) {
+      throw new Error(response.error);
+    }
+    
+    renderTriggers(response.triggers, response.log);
+  } catch (error) {
+    showToast('Failed to load triggers: ' + error.message, 'error');
+  }
+}
+
+function renderTriggers(triggers, log) {
+  elements.triggersList.innerHTML = '';
+  elements.triggerLog.innerHTML = '';
+  
+  if (triggers.length === 0) {
+    const empty = document.createElement('p');
+    empty.className = 'settings-hint';
+    empty.textContent = 'This preset is only loaded by hand.';
+    elements.triggersList.appendChild(empty);
+  }
+  
+  triggers.forEach(trigger => {
+    const item = document.createElement('div');
+    item.className = 'history-item history-row' + (trigger.enabled ? '' : ' disabled');
+    
+    const toggle = document.createElement('input');
+    toggle.type = 'checkbox';
+    toggle.checked = trigger.enabled;
+    toggle.title = trigger.enabled ? 'Disable trigger' : 'Enable trigger';
+    toggle.addEventListener('change', () => saveTrigger({ ...trigger, enabled: toggle.checked }));
+    
+    const text = document.createElement('div');
+    text.className = 'rule-text';
+    const label = document.createElement('div');
+    label.className = 'history-label';
+    label.textContent = TRIGGER_LABELS[trigger.type];
+    const details = document.createElement('div');
+    details.className = 'history-time';
+    details.textContent = describeTrigger(trigger) +
+      (trigger.lastRunAt ? ` · last run ${new Date(trigger.lastRunAt).toLocaleString()}` : '');
+    text.append(label, details);
+    
+    const deleteBtn = document.createElement('button');
+    deleteBtn.className = 'link-btn';
+    deleteBtn.textContent = 'Delete';
+    deleteBtn.addEventListener('click', () => deleteTrigger(trigger));
+    
+    item.append(toggle, text, deleteBtn);
+    elements.triggersList.appendChild(item);
+  });
+  
+  log.slice(0, 20).forEach(entry => {
+    const line = document.createElement('div');
+    line.className = 'history-entry';
+    const outcome = entry.success
+      ? `${entry.applied} loaded${entry.failed > 0 ? `, ${entry.failed} failed` : ''}`
+      : `failed: ${entry.error}`;
+    line.textContent = `${new Date(entry.timestamp).toLocaleString()} · ${TRIGGER_LABELS[entry.type]} onto ${entry.domain}: ${outcome}`;
+    elements.triggerLog.appendChild(line);
+  });
+  
+  elements.triggerLog.classList.toggle('hidden', log.length === 0);
+}
+
+async function saveTrigger(trigger) {
+  try {
+    const response = await sendMessage('savePresetTrigger', { trigger });
+    
+    if (!response.success) {
+      throw new Error(response.error);
+    }
+    
+    await loadTriggers();
+    return true;
+  } catch (error) {
+    showToast('Failed to save trigger: ' + error.message, 'error');
+    await loadTriggers();
+    return false;
+  }
+}
+
+async function addTrigger() {
+  const preset = getSelectedPreset();
+  if (!preset) return;
+  
+  const type = document.getElementById('triggerType').value;
+  const saved = await saveTrigger({
+    presetName: preset.name,
+    type,
+    domain: document.getElementById('triggerDomain').value.trim(),
+    intervalMinutes: type === 'schedule' ? document.getElementById('triggerInterval').value : undefined,
+    cooldownMinutes: type === 'navigation' ? document.getElementById('triggerCooldown').value : undefined,
+    mode: document.getElementById('triggerSwitchMode').checked ? 'switch' : 'merge',
+    // Triggers run without the popup, so cookies go back exactly where they were captured
+    placement: 'original',
+    reloadTab: document.getElementById('triggerReload').checked
+  });
+  
+  if (saved) {
+    showToast('Trigger added');
+  }
+}
+
+async function deleteTrigger(trigger) {
+  try {
+    const response = await sendMessage('deletePresetTrigger', { triggerId: trigger.id });
+    
+    if (!response.success) {
+      throw new Error(response.error);
+    }
+    
+    await loadTriggers();
+  } catch (error) {
+    showToast('Failed to delete trigger: ' + error.message, 'error');
+  }
+}
+
+// ==================== Profiles ====================
+
+function describeProfileBinding(profile) {
+  if (profile.binding === 'window') {
+    return profile.bindingId === null ? 'closed window, bind again' : `window ${profile.bindingId}`;
+  }
+  if (!profile.bindingTitle) {
+    return profile.bindingId === null ? 'closed unnamed group, bind again' : `unnamed group ${profile.bindingId}`;
+  }
+  return `group "${profile.bindingTitle}"${profile.bindingId === null ? ' (not open)' : ''}`;
+}
+
+async function openProfiles() {
+  const preset = getSelectedPreset();
+  if (!preset) return;
+  
+  document.getElementById('profileFormTitle').textContent = `Bind "${preset.name}"`;
+  document.getElementById('profileDomain').value = preset.domain || currentDomain;
+  
+  try {
+    const context = await sendMessage('getCurrentTabContext');
+    const groupOption = document.querySelector('#profileBinding option[value="group"]');
+    const inGroup = context.success && context.groupId !== null;
+    
+    groupOption.disabled = !inGroup;
+    groupOption.textContent = inGroup
+      ? `This tab's group${context.groupTitle ? ` "${context.groupTitle}"` : ''}`
+      : "This tab's group (tab is not in a group)";
+    document.getElementById('profileBinding').value = inGroup ? 'group' : 'window';
+  } catch (error) {
+    showToast('Failed to read the current tab: ' + error.message, 'error');
+  }
+  
+  openModal('profilesModal');
+  await loadProfiles();
+}
+
+async function loadProfiles() {
+  try {
+    const response = await sendMessage('getProfiles');
+    
+    if (!response.success) {
+      throw new Error(response.error);
+    }
+    
+    renderProfiles(response.profiles, response.active, response.lastSwap);
+  } catch (error) {
+    showToast('Failed to load profiles: ' + error.message, 'error');
+  }
+}
+
+function renderProfiles(profiles, active, lastSwap) {
+  elements.profilesList.innerHTML = '';
+  
+  if (profiles.length === 0) {
+    const empty = document.createElement('p');
+    empty.className = 'settings-hint';
+    empty.textContent = 'No profiles yet.';
+    elements.profilesList.appendChild(empty);
+  }
+  
+  profiles.forEach(profile => {
+    const item = document.createElement('div');
+    item.className = 'history-item history-row';
+    
+    const text = document.createElement('div');
+    text.className = 'rule-text';
+    const label = document.createElement('div');
+    label.className = 'history-label';
+    label.textContent = `${profile.presetName}${active[profile.domain] === profile.id ? ' (active)' : ''}`;
+    const details = document.createElement('div');
+    details.className = 'history-time';
+    details.textContent = `${profile.domain} · ${describeProfileBinding(profile)}`;
+    text.append(label, details);
+    
+    const deleteBtn = document.createElement('button');
+    deleteBtn.className = 'link-btn';
+    deleteBtn.textContent = 'Unbind';
+    deleteBtn.addEventListener('click', () => deleteProfile(profile));
+    
+    item.append(text, deleteBtn);
+    elements.profilesList.appendChild(item);
+  });
+  
+  const swapText = document.getElementById('lastProfileSwap');
+  swapText.classList.toggle('hidden', !lastSwap);
+  if (lastSwap) {
+    const outcome = lastSwap.success ? 'done' : `failed: ${lastSwap.error}`;
+    swapText.textContent = `Last swap on ${lastSwap.domain} at ${new Date(lastSwap.at).toLocaleTimeString()}: ` +
+      `${lastSwap.from || 'unsaved cookies'} → ${lastSwap.to}, ${outcome}`;
+  }
+}
+
+async function saveProfile() {
+  const preset = getSelectedPreset();
+  if (!preset) return;
+  
+  if (operationLock) {
+    showToast('Please wait for current operation to complete', 'error');
+    return;
+  }
+  
+  try {
+    operationLock = true;
+    showLoading();
+    const response = await sendMessage('saveProfile', {
+      profile: {
+        presetName: preset.name,
+        domain: document.getElementById('profileDomain').value.trim(),
+        binding: document.getElementById('profileBinding').value
+      }
+    });
+    
+    if (!response.success) {
+      throw new Error(response.error);
+    }
+    
+    if (response.swap && !response.swap.success) {
+      showToast(`Profile saved, but loading it failed: ${response.swap.error}`, 'error');
+    } else {
+      showToast(`"${preset.name}" bound`);
+    }
+    await loadProfiles();
+    await loadCookies();
+  } catch (error) {
+    showToast('Failed to bind preset: ' + error.message, 'error');
+  } finally {
+    operationLock = false;
+    hideLoading();
+  }
+}
+
+async function deleteProfile(profile) {
+  try {
+    const response = await sendMessage('deleteProfile', { profileId: profile.id });
+    
+    if (!response.success) {
+      throw new Error(response.error);
+    }
+    
+    await loadProfiles();
+  } catch (error) {
+    showToast('Failed to unbind profile: ' + error.message, 'error');
+  }
+}
+
+// ==================== Cleanup Rules ====================
+
+const RULE_ACTION_LABELS = {
+  deleteOnSet: 'Delete on set',
+  deleteOnTabClose: 'Delete on tab close',
+  allow: 'Allow'
+};
+
+async function openRules() {
+  resetRuleForm();
+  openModal('rulesModal');
+  await loadRules();
+}
+
+async function loadRules() {
+  try {
+    const response = await sendMessage('getCookieRules');
+    
+    if (!response.success) {
+      throw new Error(response.error);
+    }
+    
+    cookieRules = response.rules;
+    renderRules();
+  } catch (error) {
+    showToast('Failed to load rules: ' + error.message, 'error');
+  }
+}
+
+function describeRule(rule) {
+  const parts = [rule.domainPattern];
+  if (rule.namePattern) parts.push(`name /${rule.namePattern}/`);
+  if (rule.party === 'third') parts.push('third-party');
+  if (rule.party === 'first') parts.push('first-party');
+  return parts.join(' · ');
+}
+
+function renderRules() {
+  elements.rulesList.innerHTML = '';
+  
+  if (cookieRules.length === 0) {
+    const empty = document.createElement('p');
+    empty.className = 'settings-hint';
+    empty.textContent = 'No rules yet.';
+    elements.rulesList.appendChild(empty);
+    return;
+  }
+  
+  cookieRules.forEach(rule => {
+    const item = document.createElement('div');
+    item.className = 'history-item history-row' + (rule.enabled ? '' : ' disabled');
+    
+    const toggle = document.createElement('input');
+    toggle.type = 'checkbox';
+    toggle.checked = rule.enabled;
+    toggle.title = rule.enabled ? 'Disable rule' : 'Enable rule';
+    toggle.addEventListener('change', () => saveRule({ ...rule, enabled: toggle.checked }));
+    
+    const text = document.createElement('div');
+    text.className = 'rule-text';
+    const label = document.createElement('div');
+    label.className = 'history-label';
+    label.textContent = `${RULE_ACTION_LABELS[rule.action]}: ${describeRule(rule)}`;
+    const count = document.createElement('div');
+    count.className = 'history-time';
+    count.textContent = rule.action === 'allow'
+      ? 'Never deleted'
+      : `${rule.removedCount} cookie${rule.removedCount === 1 ? '' : 's'} removed`;
+    text.append(label, count);
+    
+    const buttons = document.createElement('div');
+    buttons.className = 'history-buttons';
+    const editBtn = document.createElement('button');
+    editBtn.className = 'link-btn';
+    editBtn.textContent = 'Edit';
+    editBtn.addEventListener('click', () => editRule(rule));
+    const deleteBtn = document.createElement('button');
+    deleteBtn.className = 'link-btn';
+    deleteBtn.textContent = 'Delete';
+    deleteBtn.addEventListener('click', () => deleteRule(rule));
+    buttons.append(editBtn, deleteBtn);
+    
+    item.append(toggle, text, buttons);
+    elements.rulesList.appendChild(item);
+  });
+}
+
+function resetRuleForm() {
+  editingRuleId = null;
+  document.getElementById('ruleFormTitle').textContent = 'Add Rule';
+  document.getElementById('saveRuleBtn').textContent = 'Add Rule';
+  document.getElementById('cancelRuleEditBtn').classList.add('hidden');
+  document.getElementById('ruleDomainPattern').value = currentDomain ? `*.${currentDomain}` : '';
+  document.getElementById('ruleNamePattern').value = '';
+  document.getElementById('ruleParty').value = 'any';
+  document.getElementById('ruleAction').value = 'deleteOnSet';
+}
+
+function editRule(rule) {
+  editingRuleId = rule.id;
+  document.getElementById('ruleFormTitle').textContent = 'Edit Rule';
+  document.getElementById('saveRuleBtn').textContent = 'Save Rule';
+  document.getElementById('cancelRuleEditBtn').classList.remove('hidden');
+  document.getElementById('ruleDomainPattern').value = rule.domainPattern;
+  document.getElementById('ruleNamePattern').value = rule.namePattern;
+  document.getElementById('ruleParty').value = rule.party;
+  document.getElementById('ruleAction').value = rule.action;
+}
+
+async function saveRule(rule) {
+  try {
+    const response = await sendMessage('saveCookieRule', { rule });
+    
+    if (!response.success) {
+      throw new Error(response.error);
+    }
+    
+    await loadRules();
+    return true;
+  } catch (error) {
+    showToast('Failed to save rule: ' + error.message, 'error');
+    await loadRules();
+    return false;
+  }
+}
+
+async function submitRuleForm() {
+  const existing = cookieRules.find(rule => rule.id === editingRuleId);
+  const saved = await saveRule({
+    id: editingRuleId || undefined,
+    domainPattern: document.getElementById('ruleDomainPattern').value,
+    namePattern: document.getElementById('ruleNamePattern').value,
+    party: document.getElementById('ruleParty').value,
+    action: document.getElementById('ruleAction').value,
+    enabled: existing ? existing.enabled : true
+  });
+  
+  if (saved) {
+    showToast(editingRuleId ? 'Rule saved' : 'Rule added');
+    resetRuleForm();
+  }
+}
+
+function deleteRule(rule) {
+  showConfirmDialog(
+    'Delete Rule',
+    `Delete the rule "${RULE_ACTION_LABELS[rule.action]}: ${describeRule(rule)}"?`,
+    async () => {
+      try {
+        const response = await sendMessage('deleteCookieRule', { ruleId: rule.id });
+        
+        if (!response.success) {
+          throw new Error(response.error);
+        }
+        
+        if (editingRuleId === rule.id) {
+          resetRuleForm();
+        }
+        await loadRules();
+      } catch (error) {
+        showToast('Failed to delete rule: ' + error.message, 'error');
+      }
+    }
+  );
+}
+
+async function runCleanupNow() {
+  if (operationLock) {
+    showToast('Please wait for current operation to complete', 'error');
+    return;
+  }
+  
+  try {
+    operationLock = true;
+    showLoading();
+    const response = await sendMessage('runTabCloseCleanup');
+    
+    if (!response.success) {
+      throw new Error(response.error);
+    }
+    
+    showToast(`${response.removed} cookie${response.removed === 1 ? '' : 's'} removed`);
+    await loadRules();
+  } catch (error) {
+    showToast('Cleanup failed: ' + error.message, 'error');
+  } finally {
+    operationLock = false;
+    hideLoading();
+  }
+}
+
+// ==================== Activity ====================
+
+async function openActivity() {
+  openModal('activityModal');
+  await loadActivity();
+}
+
+async function loadActivity() {
+  try {
+    const response = await sendMessage('getActivity', { domain: currentDomain, storeId: currentStoreId });
+    
+    if (!response.success) {
+      throw new Error(response.error);
+    }
+    
+    renderActivity(response.events);
+  } catch (error) {
+    showToast('Failed to load activity: ' + error.message, 'error');
+  }
+}
+
+function describeActivityEvent(event) {
+  const where = `${event.name} @ ${event.domain}${event.path}`;
+  
+  if (event.type === 'added') return `➕ ${where} = ${truncateValue(event.after)}`;
+  if (event.type === 'removed') return `➖ ${where} (was ${truncateValue(event.before)})`;
+  if (event.before === event.after) return `✏️ ${where} (refreshed)`;
+  return `✏️ ${where}: ${truncateValue(event.before)} → ${truncateValue(event.after)}`;
+}
+
+function renderActivity(events) {
+  elements.activityList.innerHTML = '';
+  
+  if (events.length === 0) {
+    const empty = document.createElement('p');
+    empty.className = 'settings-hint';
+    empty.textContent = 'No cookie changes seen for this site yet.';
+    elements.activityList.appendChild(empty);
+    return;
+  }
+  
+  events.forEach(event => {
+    const item = document.createElement('div');
+    item.className = 'history-item';
+    
+    const text = document.createElement('div');
+    text.className = 'history-entry';
+    text.textContent = describeActivityEvent(event);
+    
+    const time = document.createElement('div');
+    time.className = 'history-time';
+    time.textContent = `${new Date(event.timestamp).toLocaleTimeString()} · ${event.cause}`;
+    
+    item.append(text, time);
+    elements.activityList.appendChild(item);
+  });
+}
+
+async function refreshFromActivity() {
+  if (elements.activityModal.classList.contains('active')) {
+    await loadActivity();
+  }
+  
+  // Don't redraw under a running operation; it reloads the list itself when done
+  if (operationLock) return;
+  
+  try {
+    if (protectionRules.length > 0) {
+      await loadProtectionRules();
+    }
+    
+    const response = await sendMessage('getCookies', { domain: currentDomain, storeId: currentStoreId });
+    
+    if (response.success) {
+      const scrollTop = elements.cookieList.scrollTop;
+      allCookies = response.cookies;
+      pruneSelection();
+      updateDomainFilter();
+      filterCookies();
+      elements.cookieList.scrollTop = scrollTop;
+    }
+  } catch (error) {
+    // The next change triggers another refresh
+  }
+}
+
+function clearActivity() {
+  showConfirmDialog(
+    'Clear Activity',
+    'Forget the recorded cookie changes for this site?',
+    async () => {
+      try {
+        const response = await sendMessage('clearActivity', { domain: currentDomain, storeId: currentStoreId });
+        
+        if (!response.success) {
+          throw new Error(response.error);
+        }
+        
+        await loadActivity();
+      } catch (error) {
+        showToast('Failed to clear activity: ' + error.message, 'error');
+      }
+    }
+  );
+}
+
+// ==================== Saved Filters ====================
+
+async function openSavedFilters() {
+  document.getElementById('filterName').value = '';
+  document.getElementById('filterQuery').value = elements.searchInput.value.trim();
+  openModal('savedFiltersModal');
+  await loadSavedFilters();
+}
+
+async function loadSavedFilters() {
+  try {
+    const response = await sendMessage('getSavedFilters');
+    
+    if (!response.success) {
+      throw new Error(response.error);
+    }
+    
+    savedFilters = response.filters;
+    renderSavedFilters();
+  } catch (error) {
+    showToast('Failed to load filters: ' + error.message, 'error');
+  }
+}
+
+function renderSavedFilters() {
+  elements.savedFiltersList.innerHTML = '';
+  
+  if (savedFilters.length === 0) {
+    const empty = document.createElement('p');
+    empty.className = 'settings-hint';
+    empty.textContent = 'No saved filters yet.';
+    elements.savedFiltersList.appendChild(empty);
+    return;
+  }
+  
+  savedFilters.forEach(filter => {
+    const item = document.createElement('div');
+    item.className = 'history-item history-row';
+    
+    const text = document.createElement('div');
+    text.className = 'rule-text';
+    const label = document.createElement('div');
+    label.className = 'history-label';
+    label.textContent = filter.name;
+    const query = document.createElement('div');
+    query.className = 'history-time';
+    query.textContent = filter.query;
+    text.append(label, query);
+    
+    const buttons = document.createElement('div');
+    buttons.className = 'history-buttons';
+    const applyBtn = document.createElement('button');
+    applyBtn.className = 'link-btn';
+    applyBtn.textContent = 'Apply';
+    applyBtn.addEventListener('click', () => applySavedFilter(filter));
+    const deleteBtn = document.createElement('button');
+    deleteBtn.className = 'link-btn';
+    deleteBtn.textContent = 'Delete';
+    deleteBtn.addEventListener('click', () => deleteFilter(filter));
+    buttons.append(applyBtn, deleteBtn);
+    
+    item.append(text, buttons);
+    elements.savedFiltersList.appendChild(item);
+  });
+}
+
+function applySavedFilter(filter) {
+  elements.searchInput.value = filter.query;
+  filterCookies();
+  closeModal('savedFiltersModal');
+}
+
+async function submitSavedFilter() {
+  const name = document.getElementById('filterName').value.trim();
+  const query = document.getElementById('filterQuery').value.trim();
+  
+  if (!name) {
+    showToast('Filter name is required', 'error');
+    return;
+  }
+  
+  try {
+    const response = await sendMessage('saveFilter', { name, query });
+    
+    if (!response.success) {
+      throw new Error(response.error);
+    }
+    
+    document.getElementById('filterName').value = '';
+    showToast(`Filter "${name}" saved`);
+    await loadSavedFilters();
+  } catch (error) {
+    showToast('Failed to save filter: ' + error.message, 'error');
+  }
+}
+
+function deleteFilter(filter) {
+  showConfirmDialog(
+    'Delete Filter',
+    `Delete the saved filter "${filter.name}"?`,
+    async () => {
+      try {
+        const response = await sendMessage('deleteSavedFilter', { name: filter.name });
+        
+        if (!response.success) {
+          throw new Error(response.error);
+        }
+        
+        await loadSavedFilters();
+      } catch (error) {
+        showToast('Failed to delete filter: ' + error.message, 'error');
+      }
+    }
+  );
+}
+
+// ==================== Security Audit ====================
+
+async function openAudit() {
+  auditReport = null;
+  elements.auditList.innerHTML = '';
+  document.getElementById('auditSummary').textContent = 'Auditing cookies...';
+  setAuditActionsEnabled(false);
+  openModal('auditModal');
+  
+  try {
+    const response = await sendMessage('auditCookies', { domain: currentDomain, storeId: currentStoreId });
+    
+    if (!response.success) {
+      throw new Error(response.error);
+    }
+    
+    auditReport = response.report;
+    renderAudit(auditReport);
+    setAuditActionsEnabled(true);
+  } catch (error) {
+    document.getElementById('auditSummary').textContent = '';
+    showToast('Audit failed: ' + error.message, 'error');
+  }
+}
+
+function renderAudit(report) {
+  const { counts } = report;
+  const total = counts.high + counts.medium + counts.low;
+  document.getElementById('auditSummary').textContent = report.cookies.length === 0
+    ? `No cookies to audit on ${report.site}.`
+    : `Score ${report.score}/100 (${report.grade}) · ${total} finding${total === 1 ? '' : 's'}: ` +
+      `${counts.high} high, ${counts.medium} medium, ${counts.low} low`;
+  
+  elements.auditList.innerHTML = '';
+  
+  report.cookies.forEach(entry => {
+    const item = document.createElement('div');
+    item.className = 'history-item';
+    
+    const row = document.createElement('div');
+    row.className = 'history-row';
+    
+    const label = document.createElement('div');
+    label.className = 'history-label';
+    label.textContent = `${entry.name} @ ${entry.domain}${entry.path}`;
+    
+    const score = document.createElement('span');
+    score.className = 'audit-score';
+    score.textContent = entry.score;
+    
+    row.append(label, score);
+    item.appendChild(row);
+    
+    if (entry.findings.length > 0) {
+      const findings = document.createElement('div');
+      findings.className = 'history-entries';
+      
+      entry.findings.forEach(finding => {
+        const line = document.createElement('div');
+        line.className = 'history-entry';
+        
+        const severity = document.createElement('span');
+        severity.className = `audit-severity ${finding.severity}`;
+        severity.textContent = finding.severity;
+        
+        line.append(severity, ` ${finding.message}. ${finding.fix}.`);
+        findings.appendChild(line);
+      });
+      
+      item.appendChild(findings);
+    }
+    
+    elements.auditList.appendChild(item);
+  });
+}
+
+function setAuditActionsEnabled(enabled) {
+  document.getElementById('copyAuditBtn').disabled = !enabled;
+  document.getElementById('downloadAuditBtn').disabled = !enabled;
+}
+
+// Serializes the report on screen, so copies and downloads match what was reviewed
+function serializeAuditReport() {
+  const markdown = document.getElementById('auditFormat').value === 'markdown';
+  return markdown
+    ? { data: toAuditMarkdown(auditReport), type: 'text/markdown', extension: 'md' }
+    : { data: JSON.stringify(auditReport, null, 2), type: 'application/json', extension: 'json' };
+}
+
+async function copyAuditReport() {
+  if (!auditReport) return;
+  
+  try {
+    await navigator.clipboard.writeText(serializeAuditReport().data);
+    showToast('Report copied to clipboard!');
+  } catch (error) {
+    showToast('Failed to copy report: ' + error.message, 'error');
+  }
+}
+
+function downloadAuditReport() {
+  if (!auditReport) return;
+  
+  const { data, type, extension } = serializeAuditReport();
+  const url = URL.createObjectURL(new Blob([data], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `cooklix-audit-${auditReport.site}-${auditReport.generatedAt.slice(0, 10)}.${extension}`;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// ==================== Import/Export ====================
+
+async function exportCurrentCookies() {
+  const format = document.getElementById('exportFormat').value;
+  // Encryption only applies to the JSON format
+  const encryption = format === 'json' ? document.getElementById('exportEncryption').value : 'none';
+  const encrypted = encryption !== 'none';
+  const password = encryption === 'password' ? document.getElementById('exportPassword').value : undefined;
+  
+  const usesUrl = format === 'header' || format === 'curl';
+  const url = usesUrl ? document.getElementById('exportUrl').value.trim() : undefined;
+  
+  // Without a selection, export exactly what the list shows, in its order
+  const listFiltered = elements.searchInput.value.trim() !== '' || elements.domainFilter.value !== 'all';
+  const selection = exportSelection || (listFiltered ? filteredCookies : undefined);
+  
+  document.getElementById('exportQueryHint').classList.toggle('hidden', !!exportSelection || !listFiltered);
+  document.getElementById('exportEncryptionGroup').classList.toggle('hidden', format !== 'json');
+  document.getElementById('exportPasswordGroup').classList.toggle('hidden', encryption !== 'password');
+  document.getElementById('exportUrlGroup').classList.toggle('hidden', !usesUrl);
+  
+  // Nothing to show until the user has typed a password
+  if (encryption === 'password' && !password) {
+    document.getElementById('exportData').value = '';
+    openModal('exportModal');
+    document.getElementById('exportPassword').focus();
+    return;
+  }
+  
+  try {
+    showLoading();
+    const response = await sendMessage('exportCookies', {
+      domain: currentDomain,
+      format,
+      url,
+      encrypted,
+      password,
+      selection,
+      storeId: currentStoreId
+    });
+    
+    if (response.success) {
+      document.getElementById('exportData').value = response.data;
+      openModal('exportModal');
+    } else {
+      throw new Error(response.error);
+    }
+  } catch (error) {
+    showToast('Failed to export cookies: ' + error.message, 'error');
+  } finally {
+    hideLoading();
+  }
+}
+
+async function copyExportData() {
+  const exportData = document.getElementById('exportData').value;
+  
+  try {
+    await navigator.clipboard.writeText(exportData);
+    showToast('Copied to clipboard!');
+  } catch (error) {
+    showToast('Failed to copy: ' + error.message, 'error');
+  }
+}
+
+function detectImportEncryption() {
+  const jsonData = document.getElementById('importData').value.trim();
+  let keyType = null;
+  
+  if (jsonData) {
+    try {
+      keyType = describeEnvelope(jsonData).keyType;
+    } catch (error) {
+      keyType = null;
+    }
+  }
+  
+  if (keyType) {
+    document.getElementById('importEncrypted').checked = true;
+  }
+  document.getElementById('importPasswordGroup').classList.toggle('hidden', keyType !== 'password');
+}
+
+function getImportRequest() {
+  return {
+    jsonData: document.getElementById('importData').value.trim(),
+    format: document.getElementById('importFormat').value,
+    encrypted: document.getElementById('importEncrypted').checked,
+    password: document.getElementById('importPassword').value || undefined,
+    storeId: currentStoreId
+  };
+}
+
+function resetImportPreview() {
+  importPreview = null;
+  document.getElementById('importPreviewGroup').classList.add('hidden');
+  document.getElementById('importPreviewList').innerHTML = '';
+  const confirmBtn = document.getElementById('confirmImportBtn');
+  confirmBtn.textContent = 'Preview';
+  confirmBtn.disabled = false;
+}
+
+function formatPreviewField(field, value) {
+  if (field === 'expirationDate') return formatDate(value);
+  if (field === 'value') return value === '' ? '(empty)' : truncateValue(value);
+  return String(value);
+}
+
+function renderImportPreview() {
+  const counts = { new: 0, changed: 0, unchanged: 0, invalid: 0 };
+  importPreview.items.forEach(item => counts[item.status]++);
+
+  const from = importPreview.sourceLabel ? ` from ${importPreview.sourceLabel}` : '';
+  document.getElementById('importPreviewSummary').textContent =
+    `${importPreview.items.length} cookies${from}: ${counts.new} new, ${counts.changed} changed, ` +
+    `${counts.unchanged} unchanged, ${counts.invalid} invalid`;
+
+  const list = document.getElementById('importPreviewList');
+  list.innerHTML = '';
+
+  (importPreview.warnings || []).forEach(warning => {
+    const detail = document.createElement('div');
+    detail.className = 'preview-detail';
+    detail.textContent = `⚠️ ${warning}`;
+    list.appendChild(detail);
+  });
+
+  importPreview.items.forEach(item => {
+    const row = document.createElement('label');
+    row.className = 'preview-item';
+
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.dataset.index = item.index;
+    checkbox.checked = item.status === 'new' || item.status === 'changed';
+    checkbox.disabled = item.status === 'invalid';
+    checkbox.addEventListener('change', updateImportSelection);
+
+    const body = document.createElement('div');
+    body.className = 'preview-body';
+
+    const title = document.createElement('div');
+    title.className = 'preview-title';
+    const name = document.createElement('span');
+    name.textContent = item.cookie.name;
+    const badge = document.createElement('span');
+    badge.className = `cookie-badge status-${item.status}`;
+    badge.textContent = item.status;
+    title.append(name, badge);
+
+    const location = document.createElement('div');
+    location.className = 'preview-location';
+    location.textContent = `${item.cookie.domain}${item.cookie.path}`;
+
+    body.append(title, location);
+
+    item.changes.forEach(change => {
+      const detail = document.createElement('div');
+      detail.className = 'preview-detail';
+      detail.textContent = `${change.field}: ${formatPreviewField(change.field, change.from)} → ` +
+        formatPreviewField(change.field, change.to);
+      body.appendChild(detail);
+    });
+
+    item.problems.forEach(problem => {
+      const detail = document.createElement('div');
+      detail.className = 'preview-detail problem';
+      detail.textContent = problem;
+      body.appendChild(detail);
+    });
+
+    row.append(checkbox, body);
+    list.appendChild(row);
+  });
+
+  document.getElementById('importPreviewGroup').classList.remove('hidden');
+  updateImportSelection();
+}
+
+function getSelectedImportIndices() {
+  return Array.from(document.querySelectorAll('#importPreviewList input[type="checkbox"]:checked'))
+    .map(checkbox => Number(checkbox.dataset.index));
+}
+
+function updateImportSelection() {
+  const count = getSelectedImportIndices().length;
+  const confirmBtn = document.getElementById('confirmImportBtn');
+  confirmBtn.textContent = `Import ${count} selected`;
+  confirmBtn.disabled = count === 0;
+}
+
+async function previewImportData() {
+  const request = getImportRequest();
+  
+  if (!request.jsonData) {
+    showToast('Please paste cookie data', 'error');
+    return;
+  }
+  
+  try {
+    showLoading();
+    const response = await sendMessage('previewImport', request);
+    
+    if (!response.success) {
+      throw new Error(response.error);
+    }
+    
+    importPreview = response;
+    renderImportPreview();
+  } catch (error) {
+    showToast('Failed to read cookie data: ' + error.message, 'error');
+  } finally {
+    hideLoading();
+  }
+}
+
+async function importCookiesData() {
+  if (!importPreview) {
+    await previewImportData();
+    return;
+  }
+  
+  const selected = getSelectedImportIndices();
+  
+  try {
+    showLoading();
+    const response = await sendMessage('importCookies', { ...getImportRequest(), selected });
+    
+    if (response.success) {
+      const from = response.sourceLabel ? ` from ${response.sourceLabel}` : '';
+      const failed = response.failed > 0 ? `, ${response.failed} failed` : '';
+      showToast(`Import successful: ${response.imported} cookies imported${from}${failed}`);
+      closeModal('importModal');
+      document.getElementById('importData').value = '';
+      document.getElementById('importPassword').value = '';
+      resetImportPreview();
+      await loadCookies();
+    } else {
+      throw new Error(response.error);
+    }
+  } catch (error) {
+    showToast('Failed to import cookies: ' + error.message, 'error');
+  } finally {
+    hideLoading();
+  }
+}
+
+// ==================== Modal Management ====================
+
+function openModal(modalId) {
+  const modal = document.getElementById(modalId);
+  if (modal) {
+    modal.style.display = 'flex';
+    setTimeout(() => modal.classList.add('active'), 10);
+  }
+}
+
+function closeModal(modalId) {
+  const modal = document.getElementById(modalId);
+  if (modal) {
     modal.classList.remove('active');
     setTimeout(() => modal.style.display = 'none', 300);
   }
@@ -770,6 +2943,7 @@ function setupEventListeners() {
   // Search and filter
   elements.searchInput.addEventListener('input', filterCookies);
   elements.domainFilter.addEventListener('change', filterCookies);
+  elements.storeSelect.addEventListener('change', switchCookieStore);
   
   // Main action buttons
   document.getElementById('addCookieBtn').addEventListener('click', () => {
@@ -783,10 +2957,18 @@ function setupEventListeners() {
   document.getElementById('importBtn').addEventListener('click', () => {
     document.getElementById('importData').value = '';
     document.getElementById('importEncrypted').checked = false;
+    document.getElementById('importPassword').value = '';
+    document.getElementById('importPasswordGroup').classList.add('hidden');
+    document.getElementById('importFormat').value = 'auto';
+    resetImportPreview();
     openModal('importModal');
   });
   
-  document.getElementById('exportBtn').addEventListener('click', exportCurrentCookies);
+  document.getElementById('exportBtn').addEventListener('click', () => {
+    exportSelection = null;
+    document.getElementById('exportUrl').value = currentDomain ? `https://${currentDomain}/` : '';
+    exportCurrentCookies();
+  });
   
   // Cookie modal
   document.getElementById('cookieForm').addEventListener('submit', (e) => {
@@ -801,6 +2983,13 @@ function setupEventListeners() {
   document.getElementById('closeImportModal').addEventListener('click', () => closeModal('importModal'));
   document.getElementById('cancelImportBtn').addEventListener('click', () => closeModal('importModal'));
   document.getElementById('confirmImportBtn').addEventListener('click', importCookiesData);
+  document.getElementById('importData').addEventListener('input', () => {
+    detectImportEncryption();
+    resetImportPreview();
+  });
+  ['importFormat', 'importEncrypted', 'importPassword'].forEach(id => {
+    document.getElementById(id).addEventListener('input', resetImportPreview);
+  });
   
   // Export modal
   document.getElementById('closeExportModal').addEventListener('click', () => closeModal('exportModal'));
@@ -809,10 +2998,31 @@ function setupEventListeners() {
   
   // Preset buttons
   document.getElementById('savePresetBtn').addEventListener('click', () => {
+    presetSaveSelection = null;
     document.getElementById('presetName').value = '';
+    document.getElementById('presetNote').value = '';
     openModal('presetSaveModal');
   });
   
+  elements.presetSelect.addEventListener('change', () => {
+    renderPresetDetails();
+    suggestPresetPlacement();
+  });
+  elements.presetFilter.addEventListener('input', renderPresetOptions);
+  elements.presetSort.addEventListener('change', renderPresetOptions);
+  document.getElementById('showAllPresets').addEventListener('change', renderPresetOptions);
+  document.getElementById('undoSwitchBtn').addEventListener('click', undoLastSwitch);
+  document.getElementById('editPresetNoteBtn').addEventListener('click', openPresetNoteModal);
+  document.getElementById('presetTriggersBtn').addEventListener('click', openTriggers);
+  document.getElementById('presetProfilesBtn').addEventListener('click', openProfiles);
+  document.getElementById('saveProfileBtn').addEventListener('click', saveProfile);
+  document.getElementById('closeProfilesModal').addEventListener('click', () => closeModal('profilesModal'));
+  document.getElementById('closeProfilesBtn').addEventListener('click', () => closeModal('profilesModal'));
+  document.getElementById('triggerType').addEventListener('change', updateTriggerForm);
+  document.getElementById('addTriggerBtn').addEventListener('click', addTrigger);
+  document.getElementById('closeTriggersModal').addEventListener('click', () => closeModal('triggersModal'));
+  document.getElementById('closeTriggersBtn').addEventListener('click', () => closeModal('triggersModal'));
+  
   document.getElementById('loadPresetBtn').addEventListener('click', applySelectedPreset);
   document.getElementById('deletePresetBtn').addEventListener('click', deleteSelectedPreset);
   document.getElementById('renamePresetBtn').addEventListener('click', renameSelectedPreset);
@@ -827,6 +3037,17 @@ function setupEventListeners() {
   document.getElementById('cancelPresetRenameBtn').addEventListener('click', () => closeModal('presetRenameModal'));
   document.getElementById('confirmPresetRenameBtn').addEventListener('click', confirmRenamePreset);
   
+  // Value inspector
+  document.getElementById('inspectValueBtn').addEventListener('click', openValueInspector);
+  document.getElementById('applyValueInspectorBtn').addEventListener('click', applyValueInspector);
+  document.getElementById('closeValueInspectorModal').addEventListener('click', () => closeModal('valueInspectorModal'));
+  document.getElementById('cancelValueInspectorBtn').addEventListener('click', () => closeModal('valueInspectorModal'));
+  
+  // Preset note modal
+  document.getElementById('closePresetNoteModal').addEventListener('click', () => closeModal('presetNoteModal'));
+  document.getElementById('cancelPresetNoteBtn').addEventListener('click', () => closeModal('presetNoteModal'));
+  document.getElementById('confirmPresetNoteBtn').addEventListener('click', savePresetNote);
+  
   // Confirm modal
   document.getElementById('closeConfirmModal').addEventListener('click', () => {
     confirmCallback = null;
@@ -853,12 +3074,84 @@ function setupEventListeners() {
     icon.textContent = elements.presetContent.classList.contains('collapsed') ? '▶' : '▼';
   });
   
+  // Selection and batch actions
+  document.getElementById('selectAllBtn').addEventListener('click', () => setAllSelected(true));
+  document.getElementById('selectNoneBtn').addEventListener('click', () => setAllSelected(false));
+  document.getElementById('batchDeleteBtn').addEventListener('click', batchDeleteSelected);
+  document.getElementById('batchCopyStoreBtn').addEventListener('click', copySelectionToOtherStore);
+  document.getElementById('batchEditBtn').addEventListener('click', openBatchEditModal);
+  document.getElementById('batchExportBtn').addEventListener('click', exportSelectedCookies);
+  document.getElementById('batchPresetBtn').addEventListener('click', saveSelectionAsPreset);
+  document.getElementById('closeBatchEditModal').addEventListener('click', () => closeModal('batchEditModal'));
+  document.getElementById('cancelBatchEditBtn').addEventListener('click', () => closeModal('batchEditModal'));
+  document.getElementById('confirmBatchEditBtn').addEventListener('click', applyBatchEdit);
+  
+  // History
+  document.getElementById('historyBtn').addEventListener('click', openHistory);
+  document.getElementById('closeHistoryModal').addEventListener('click', () => closeModal('historyModal'));
+  document.getElementById('closeHistoryBtn').addEventListener('click', () => closeModal('historyModal'));
+  document.getElementById('clearHistoryBtn').addEventListener('click', clearHistory);
+  
+  // Cleanup rules
+  document.getElementById('rulesBtn').addEventListener('click', openRules);
+  document.getElementById('closeRulesModal').addEventListener('click', () => closeModal('rulesModal'));
+  document.getElementById('closeRulesBtn').addEventListener('click', () => closeModal('rulesModal'));
+  document.getElementById('saveRuleBtn').addEventListener('click', submitRuleForm);
+  document.getElementById('cancelRuleEditBtn').addEventListener('click', resetRuleForm);
+  document.getElementById('runCleanupBtn').addEventListener('click', runCleanupNow);
+  
+  // Activity
+  document.getElementById('activityBtn').addEventListener('click', openActivity);
+  document.getElementById('closeActivityModal').addEventListener('click', () => closeModal('activityModal'));
+  document.getElementById('closeActivityBtn').addEventListener('click', () => closeModal('activityModal'));
+  document.getElementById('clearActivityBtn').addEventListener('click', clearActivity);
+  
+  // Saved filters
+  document.getElementById('savedFiltersBtn').addEventListener('click', openSavedFilters);
+  document.getElementById('closeSavedFiltersModal').addEventListener('click', () => closeModal('savedFiltersModal'));
+  document.getElementById('closeSavedFiltersBtn').addEventListener('click', () => closeModal('savedFiltersModal'));
+  document.getElementById('saveFilterBtn').addEventListener('click', submitSavedFilter);
+  
+  // Security audit
+  document.getElementById('auditBtn').addEventListener('click', openAudit);
+  document.getElementById('closeAuditModal').addEventListener('click', () => closeModal('auditModal'));
+  document.getElementById('closeAuditBtn').addEventListener('click', () => closeModal('auditModal'));
+  document.getElementById('copyAuditBtn').addEventListener('click', copyAuditReport);
+  document.getElementById('downloadAuditBtn').addEventListener('click', downloadAuditReport);
+  
+  // Settings and vault
+  document.getElementById('settingsBtn').addEventListener('click', async () => {
+    elements.rotationReport.classList.add('hidden');
+    await loadVaultStatus();
+    await loadProtectionRules();
+    openModal('settingsModal');
+  });
+  
+  document.getElementById('closeSettingsModal').addEventListener('click', () => closeModal('settingsModal'));
+  document.getElementById('enablePassphraseBtn').addEventListener('click', enableVaultPassphrase);
+  document.getElementById('disablePassphraseBtn').addEventListener('click', disableVaultPassphrase);
+  elements.autoLockSelect.addEventListener('change', updateAutoLock);
+  document.getElementById('rotateKeyBtn').addEventListener('click', rotateMasterKey);
+  elements.vaultLockBtn.addEventListener('click', toggleVaultLock);
+  
+  document.getElementById('closeUnlockModal').addEventListener('click', () => closeModal('unlockModal'));
+  document.getElementById('cancelUnlockBtn').addEventListener('click', () => closeModal('unlockModal'));
+  document.getElementById('confirmUnlockBtn').addEventListener('click', unlockVaultWithPassphrase);
+  document.getElementById('unlockPassphrase').addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') {
+      unlockVaultWithPassphrase();
+    }
+  });
+  
   // Welcome modal
   document.getElementById('getStartedBtn').addEventListener('click', handleGetStarted);
   
   // Close modals on overlay click
   [elements.cookieModal, elements.importModal, elements.exportModal, 
-   elements.presetSaveModal, elements.presetRenameModal, elements.confirmModal].forEach(modal => {
+   elements.presetSaveModal, elements.presetRenameModal, elements.presetNoteModal, elements.batchEditModal,
+   elements.valueInspectorModal, elements.confirmModal,
+   elements.settingsModal, elements.historyModal, elements.activityModal, elements.auditModal, elements.savedFiltersModal, elements.rulesModal, elements.triggersModal,
+   elements.profilesModal, elements.unlockModal].forEach(modal => {
     modal.addEventListener('click', (e) => {
       if (e.target === modal) {
         closeModal(modal.id);
@@ -866,12 +3159,28 @@ function setupEventListeners() {
     });
   });
   
-  // Export encryption toggle
-  document.getElementById('exportEncrypted').addEventListener('change', async (e) => {
+  // Export format and encryption mode
+  document.getElementById('exportFormat').addEventListener('change', async () => {
+    if (elements.exportModal.style.display === 'flex') {
+      await exportCurrentCookies();
+    }
+  });
+  
+  document.getElementById('exportUrl').addEventListener('change', exportCurrentCookies);
+  
+  document.getElementById('exportEncryption').addEventListener('change', async (e) => {
+    document.getElementById('exportPassword').value = '';
     if (elements.exportModal.style.display === 'flex') {
       await exportCurrentCookies();
     }
   });
+  
+  document.getElementById('applyExportPasswordBtn').addEventListener('click', exportCurrentCookies);
+  document.getElementById('exportPassword').addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') {
+      exportCurrentCookies();
+    }
+  });
 }
 
 // ==================== CSS for Toast Animations ====================